@@ -5,31 +5,52 @@
 const App = {
   currentCardCount: 20, // Default difficulty
   currentValuationMode: null, // Current valuation mode
+  currentDailyGame: null, // Game type of the daily challenge being played
+  currentChallenge: null, // Challenge from a shared link being played
+  lastResult: null, // Last finished game, for sharing as a challenge
+  nameSuggestions: { names: [], activeIndex: -1 }, // Guess the Card name dropdown
 
   /**
    * Initialize the application
    */
   async init() {
-    // Initialize UI
+    // Initialize UI and browser history handling
     UI.init();
+    Router.init(route => this.handleRoute(route));
 
-    // Load card data
+    // Load card data for the chosen deck
     await Cards.load();
+    UI.renderDeckPicker(Decks.getAll(), Decks.getActiveId());
+    this.updateFilterSummary();
 
     // Set up event listeners
     this.setupEventListeners();
 
-    // Update high scores display
-    UI.updateHighScores();
-    UI.updateValuationHighScores();
-    UI.updateGuessHighScores();
-
     // Show mobile hint
     UI.updateMobileHint();
     window.addEventListener('resize', () => UI.updateMobileHint());
 
-    // Show game selector screen
-    UI.showScreen('game-selector');
+    // Bad card data gets an error screen before any game can start
+    if (Cards.loadErrors.length > 0) {
+      UI.showDataErrors(Cards.loadErrors, Cards.allCards.length);
+      return;
+    }
+
+    await this.showInitialScreen();
+  },
+
+  /**
+   * Show the first screen after loading
+   */
+  async showInitialScreen() {
+    // Open a shared challenge link directly, otherwise the screen in the URL
+    const challenge = Share.parse(window.location.search);
+    if (challenge) {
+      Share.clearFromUrl();
+      await this.startChallenge(challenge);
+    } else {
+      await this.showRoute(Router.match(Router.getCurrentPath()));
+    }
   },
 
   /**
@@ -40,6 +61,7 @@ const App = {
     document.querySelectorAll('.difficulty-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const cardCount = parseInt(e.currentTarget.dataset.cards);
+        this.currentDailyGame = null;
         this.startGame(cardCount);
       });
     });
@@ -47,13 +69,12 @@ const App = {
     // Back to menu button
     document.getElementById('back-btn').addEventListener('click', () => {
       Game.reset();
-      UI.updateHighScores();
-      UI.showScreen('menu');
+      this.showGameMenu('matching');
     });
 
-    // Restart button
+    // Restart button (a shared challenge restarts on the same board)
     document.getElementById('restart-btn').addEventListener('click', () => {
-      this.startGame(this.currentCardCount);
+      this.startGame(this.currentCardCount, this.currentChallenge?.seed);
     });
 
     // Play again button
@@ -63,8 +84,7 @@ const App = {
 
     // Change difficulty button
     document.getElementById('change-difficulty-btn').addEventListener('click', () => {
-      UI.updateHighScores();
-      UI.showScreen('menu');
+      this.showGameMenu('matching');
     });
 
     // Game board click handler (event delegation)
@@ -80,6 +100,12 @@ const App = {
       UI.hideCardModal();
     });
 
+    // Player page link in the modal
+    document.getElementById('modal-player-btn').addEventListener('click', (e) => {
+      UI.hideCardModal();
+      this.showPlayer(e.currentTarget.dataset.playerId, true);
+    });
+
     // Modal overlay click to close
     document.getElementById('card-info-modal').addEventListener('click', (e) => {
       if (e.target === e.currentTarget) {
@@ -98,6 +124,15 @@ const App = {
       }
     });
 
+    // Data error screen buttons
+    document.getElementById('data-error-continue-btn').addEventListener('click', () => {
+      this.showInitialScreen();
+    });
+
+    document.getElementById('data-error-retry-btn').addEventListener('click', () => {
+      window.location.reload();
+    });
+
     // Keyboard support
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -105,21 +140,40 @@ const App = {
       }
     });
 
+    // ==== RESUME GAME EVENT LISTENERS ====
+
+    ['matching', 'valuation', 'guess'].forEach(gameType => {
+      const resumeBtn = document.getElementById(`resume-${gameType}-btn`);
+      if (resumeBtn) {
+        resumeBtn.addEventListener('click', () => {
+          this.resumeGame(gameType);
+        });
+      }
+    });
+
     // ==== GAME SELECTOR EVENT LISTENERS ====
 
+    // Deck picker
+    document.getElementById('deck-select').addEventListener('change', async (e) => {
+      await this.selectDeck(e.target.value);
+      if (Cards.loadErrors.length > 0) {
+        UI.showDataErrors(Cards.loadErrors, Cards.allCards.length);
+      }
+    });
+
     // Game selector tiles
     document.querySelectorAll('.game-tile').forEach(tile => {
       tile.addEventListener('click', (e) => {
         const game = e.currentTarget.dataset.game;
-        if (game === 'matching') {
-          UI.updateHighScores();
-          UI.showScreen('menu');
-        } else if (game === 'valuation') {
-          UI.updateValuationHighScores();
-          UI.showScreen('valuation-menu');
-        } else if (game === 'guess') {
-          UI.updateGuessHighScores();
-          UI.showScreen('guess-menu');
+        if (game === 'daily') {
+          UI.updateDailyScreen();
+          UI.showScreen('daily');
+        } else if (game === 'library') {
+          this.showLibrary();
+        } else if (game === 'album') {
+          this.showAlbum();
+        } else {
+          this.showGameMenu(game);
         }
       });
     });
@@ -146,12 +200,238 @@ const App = {
       });
     }
 
+    const dailyBackBtn = document.getElementById('daily-back-btn');
+    if (dailyBackBtn) {
+      dailyBackBtn.addEventListener('click', () => {
+        UI.showScreen('game-selector');
+      });
+    }
+
+    // ==== FILTER EVENT LISTENERS ====
+
+    document.getElementById('open-filters-btn').addEventListener('click', () => {
+      this.showFilters();
+    });
+
+    document.getElementById('filters-back-btn').addEventListener('click', () => {
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('filter-era').addEventListener('change', (e) => {
+      UI.applyEraToForm(e.target.value);
+      this.updateFilterMatchCount();
+    });
+
+    // Typing a year switches the era picker to custom years
+    ['filter-year-min', 'filter-year-max'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        document.getElementById('filter-era').value = 'custom';
+        this.updateFilterMatchCount();
+      });
+    });
+
+    document.querySelector('.filter-form').addEventListener('change', () => {
+      this.updateFilterMatchCount();
+    });
+
+    document.getElementById('filter-apply-btn').addEventListener('click', () => {
+      Filters.setActive(UI.readFilterForm());
+      this.updateFilterSummary();
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('filter-clear-btn').addEventListener('click', () => {
+      UI.renderFilterForm(null, Cards.allCards);
+      this.updateFilterMatchCount();
+    });
+
+    // ==== CARD LIBRARY EVENT LISTENERS ====
+
+    document.getElementById('library-back-btn').addEventListener('click', () => {
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('library-search').addEventListener('input', () => {
+      this.updateLibrary();
+    });
+
+    document.querySelector('.library-facets').addEventListener('change', () => {
+      this.updateLibrary();
+    });
+
+    // Card click opens the detail view
+    document.getElementById('library-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.library-item');
+      if (item) {
+        const card = Cards.getCardById(item.dataset.cardId);
+        if (card) {
+          UI.showCardModal(card);
+        }
+      }
+    });
+
+    // ==== DECK IMPORT EVENT LISTENERS ====
+
+    document.getElementById('open-import-btn').addEventListener('click', () => {
+      this.showImport();
+    });
+
+    document.getElementById('import-back-btn').addEventListener('click', () => {
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('import-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.importDeck();
+    });
+
+    document.getElementById('import-deck-list').addEventListener('click', (e) => {
+      const button = e.target.closest('.import-delete-btn');
+      if (button) {
+        this.deleteImportedDeck(button.dataset.deckId);
+      }
+    });
+
+    // ==== CATALOG EDITOR EVENT LISTENERS ====
+
+    document.getElementById('open-editor-btn').addEventListener('click', () => {
+      this.showEditor();
+    });
+
+    document.getElementById('editor-back-btn').addEventListener('click', () => {
+      if (CatalogEditor.state.isDirty && !window.confirm('Leave the editor? Changes that were not downloaded will be lost.')) {
+        return;
+      }
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('editor-add-btn').addEventListener('click', () => {
+      CatalogEditor.add();
+      this.renderEditor();
+    });
+
+    document.getElementById('editor-download-btn').addEventListener('click', () => {
+      this.downloadCatalog();
+    });
+
+    document.getElementById('editor-card-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      const item = e.target.closest('.editor-card-item');
+      if (!button || !item) return;
+
+      const index = parseInt(item.dataset.index, 10);
+      switch (button.dataset.action) {
+        case 'select':
+          CatalogEditor.state.selectedIndex = index;
+          break;
+        case 'up':
+          CatalogEditor.move(index, -1);
+          break;
+        case 'down':
+          CatalogEditor.move(index, 1);
+          break;
+        case 'delete': {
+          const card = CatalogEditor.state.cards[index];
+          if (!window.confirm(`Delete ${card.playerName || card.id || 'this card'}?`)) return;
+          CatalogEditor.remove(index);
+          break;
+        }
+      }
+      this.renderEditor();
+    });
+
+    // Every keystroke updates the card, its inline errors and the preview
+    document.getElementById('editor-form').addEventListener('input', () => {
+      CatalogEditor.updateSelected(UI.readEditorForm());
+      this.updateEditorCard();
+    });
+
+    // The image check fetches the file, so it waits until the field is left
+    document.getElementById('editor-field-imageFile').addEventListener('change', () => {
+      this.checkEditorImage();
+    });
+
+    document.getElementById('editor-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+    });
+
+    document.getElementById('editor-preview-details-btn').addEventListener('click', () => {
+      const card = CatalogEditor.getSelected();
+      const previewCard = card && CatalogEditor.getPreviewCard(card);
+      if (previewCard) {
+        UI.showCardModal(previewCard);
+      }
+    });
+
+    // ==== PLAYER PAGE EVENT LISTENERS ====
+
+    // Back returns to wherever the player page was opened from
+    document.getElementById('player-back-btn').addEventListener('click', () => {
+      if (this.playerPageOpenedInApp) {
+        window.history.back();
+      } else {
+        UI.showScreen('game-selector');
+      }
+    });
+
+    document.getElementById('player-card-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.library-item');
+      if (item) {
+        const card = Cards.getCardById(item.dataset.cardId);
+        if (card) {
+          UI.showCardModal(card);
+        }
+      }
+    });
+
+    // ==== ALBUM EVENT LISTENERS ====
+
+    document.getElementById('album-back-btn').addEventListener('click', () => {
+      UI.showScreen('game-selector');
+    });
+
+    document.getElementById('album-export-btn').addEventListener('click', () => {
+      UI.downloadFile('baseball-card-collection.json', Collection.export(), 'application/json');
+    });
+
+    // Collected cards open the detail view (missing ones stay a mystery)
+    document.getElementById('album-pages').addEventListener('click', (e) => {
+      const slot = e.target.closest('.album-slot.owned');
+      if (slot) {
+        const card = Cards.getCardById(slot.dataset.cardId);
+        if (card) {
+          UI.showCardModal(card);
+        }
+      }
+    });
+
+    // ==== CHALLENGE LINK EVENT LISTENERS ====
+
+    document.querySelectorAll('.share-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        if (this.lastResult?.game !== button.dataset.shareGame) return;
+
+        const outcome = await Share.share(this.lastResult);
+        UI.showShareStatus(button, outcome);
+      });
+    });
+
+    // ==== DAILY CHALLENGE EVENT LISTENERS ====
+
+    document.querySelectorAll('.daily-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.startDailyChallenge(e.currentTarget.dataset.dailyGame);
+      });
+    });
+
     // ==== VALUATION GAME EVENT LISTENERS ====
 
     // Mode selection buttons
     document.querySelectorAll('.mode-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const mode = e.currentTarget.dataset.mode;
+        this.currentDailyGame = null;
         this.startValuationGame(mode);
       });
     });
@@ -161,8 +441,7 @@ const App = {
     if (valuationGameBackBtn) {
       valuationGameBackBtn.addEventListener('click', () => {
         Valuation.reset();
-        UI.updateValuationHighScores();
-        UI.showScreen('valuation-menu');
+        this.showGameMenu('valuation');
       });
     }
 
@@ -196,19 +475,51 @@ const App = {
       this.handleValueSelection(e.detail.value);
     });
 
-    // Position slot clicks for 3-card mode
-    document.querySelectorAll('.position-slot').forEach(slot => {
-      slot.addEventListener('click', (e) => {
-        const position = parseInt(e.currentTarget.dataset.position);
-        this.handlePositionClick(position);
-      });
+    document.addEventListener('cardDropped', (e) => {
+      this.handleCardDrop(e.detail.cardId, e.detail.position);
+    });
+
+    // Position slot clicks for sort modes (slots are rendered per round)
+    document.getElementById('position-slots').addEventListener('click', (e) => {
+      const slot = e.target.closest('.position-slot');
+      if (slot) {
+        this.handlePositionClick(parseInt(slot.dataset.position));
+      }
     });
 
     // Submit order button
     const submitOrderBtn = document.getElementById('submit-order-btn');
     if (submitOrderBtn) {
       submitOrderBtn.addEventListener('click', () => {
-        this.handleThreeCardSubmit();
+        this.handleSortSubmit();
+      });
+    }
+
+    // Estimate mode: the slider and typed amount follow each other
+    const estimateSlider = document.getElementById('estimate-slider');
+    if (estimateSlider) {
+      estimateSlider.addEventListener('input', () => {
+        UI.syncEstimateFromSlider();
+      });
+    }
+
+    const estimateInput = document.getElementById('estimate-input');
+    if (estimateInput) {
+      estimateInput.addEventListener('input', () => {
+        UI.syncEstimateFromInput();
+      });
+      estimateInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleEstimateSubmit();
+        }
+      });
+    }
+
+    const submitEstimateBtn = document.getElementById('submit-estimate-btn');
+    if (submitEstimateBtn) {
+      submitEstimateBtn.addEventListener('click', () => {
+        this.handleEstimateSubmit();
       });
     }
 
@@ -223,8 +534,7 @@ const App = {
     const valuationChangeModeBtn = document.getElementById('valuation-change-mode-btn');
     if (valuationChangeModeBtn) {
       valuationChangeModeBtn.addEventListener('click', () => {
-        UI.updateValuationHighScores();
-        UI.showScreen('valuation-menu');
+        this.showGameMenu('valuation');
       });
     }
 
@@ -234,6 +544,7 @@ const App = {
     const startGuessBtn = document.getElementById('start-guess-btn');
     if (startGuessBtn) {
       startGuessBtn.addEventListener('click', () => {
+        this.currentDailyGame = null;
         this.startGuessGame();
       });
     }
@@ -243,8 +554,7 @@ const App = {
     if (guessGameBackBtn) {
       guessGameBackBtn.addEventListener('click', () => {
         Guess.reset();
-        UI.updateGuessHighScores();
-        UI.showScreen('guess-menu');
+        this.showGameMenu('guess');
       });
     }
 
@@ -262,13 +572,70 @@ const App = {
 
     if (playerNameInput) {
       playerNameInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
+        const { names, activeIndex } = this.nameSuggestions;
+
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && names.length > 0) {
           e.preventDefault();
-          this.handleGuessSubmit();
+          // Cycle through the names and back to the typed text (-1)
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const positions = names.length + 1;
+          this.nameSuggestions.activeIndex = (activeIndex + 1 + step + positions) % positions - 1;
+          UI.renderNameSuggestions(names, this.nameSuggestions.activeIndex);
+        } else if (e.key === 'Escape' && names.length > 0) {
+          e.preventDefault();
+          this.clearNameSuggestions();
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          if (activeIndex >= 0) {
+            this.chooseNameSuggestion(names[activeIndex]);
+          } else {
+            this.handleGuessSubmit();
+          }
         }
       });
+
+      // Suggest names as the player types (off in hard mode)
+      playerNameInput.addEventListener('input', () => {
+        if (Guess.getSettings().hardMode) return;
+        this.nameSuggestions = { names: Guess.getNameSuggestions(playerNameInput.value), activeIndex: -1 };
+        UI.renderNameSuggestions(this.nameSuggestions.names);
+      });
+
+      playerNameInput.addEventListener('blur', () => this.clearNameSuggestions());
     }
 
+    // Mousedown picks a suggestion before the input's blur hides the list
+    document.getElementById('player-name-suggestions').addEventListener('mousedown', (e) => {
+      const option = e.target.closest('.name-suggestion');
+      if (option) {
+        e.preventDefault();
+        this.chooseNameSuggestion(option.dataset.name);
+      }
+    });
+
+    // Reveal style, attempts, game length, Junior mode and extra fields for the next game
+    ['guess-style-select', 'guess-attempts-select', 'guess-length-select', 'guess-junior-toggle', 'guess-field-toggles'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        const fieldToggles = document.querySelectorAll('#guess-field-toggles input:checked');
+        Guess.saveSettings({
+          style: document.getElementById('guess-style-select').value,
+          attempts: Number(document.getElementById('guess-attempts-select').value),
+          lives: Number(document.getElementById('guess-length-select').value) || null,
+          junior: document.getElementById('guess-junior-toggle').checked,
+          fields: [...fieldToggles].map(input => input.dataset.field)
+        });
+        UI.renderGuessModeForm(Guess.getSelectedMode());
+        UI.updateGuessHighScores(Filters.getKey(Filters.getActive()));
+      });
+    });
+
+    // Hard mode turns off name suggestions
+    const hardModeToggle = document.getElementById('guess-hard-mode-toggle');
+    hardModeToggle.checked = Guess.getSettings().hardMode;
+    hardModeToggle.addEventListener('change', (e) => {
+      Guess.saveSettings({ hardMode: e.target.checked });
+    });
+
     if (yearInput) {
       yearInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
@@ -278,6 +645,32 @@ const App = {
       });
     }
 
+    // Extra field inputs submit on Enter like the year
+    document.querySelectorAll('[data-guess-field]').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleGuessSubmit();
+        }
+      });
+    });
+
+    // Junior mode: pick a year and a player
+    document.getElementById('guess-choices').addEventListener('click', (e) => {
+      const choice = e.target.closest('.choice-btn');
+      if (choice && !choice.disabled) {
+        UI.selectGuessChoice(choice);
+      }
+    });
+
+    // Buy a hint (costs points, not an attempt)
+    document.getElementById('guess-hints').addEventListener('click', (e) => {
+      const button = e.target.closest('.hint-btn');
+      if (button && Guess.useHint(button.dataset.hint)) {
+        UI.renderGuessHints(Guess.getHints());
+      }
+    });
+
     // Guess results buttons
     const guessPlayAgainBtn = document.getElementById('guess-play-again-btn');
     if (guessPlayAgainBtn) {
@@ -289,28 +682,598 @@ const App = {
     const guessChangeModeBtn = document.getElementById('guess-change-mode-btn');
     if (guessChangeModeBtn) {
       guessChangeModeBtn.addEventListener('click', () => {
-        UI.updateGuessHighScores();
-        UI.showScreen('guess-menu');
+        this.showGameMenu('guess');
       });
     }
   },
 
+  /**
+   * Get the game type with a round in progress
+   * @returns {string|null} 'matching', 'valuation', 'guess', or null
+   */
+  getActiveGame() {
+    if (Game.state.isPlaying && !Game.isVictory()) return 'matching';
+    if (Valuation.state.isPlaying && Valuation.state.currentRound < 5) return 'valuation';
+    if (Guess.state.isPlaying && !Guess.isGameOver()) return 'guess';
+    return null;
+  },
+
+  /**
+   * Handle browser back/forward navigation
+   * @param {Object} route - Target route from Router
+   * @returns {Promise<boolean>} False if the player chose to stay in the game
+   */
+  async handleRoute(route) {
+    if (this.getActiveGame() && !window.confirm('Leave the current game? You can resume it later from the menu.')) {
+      return false;
+    }
+
+    // Leaving a game screen ends that game
+    Game.reset();
+    Valuation.reset();
+    Guess.reset();
+    this.currentDailyGame = null;
+    this.currentChallenge = null;
+
+    await this.showRoute(route);
+    return true;
+  },
+
+  /**
+   * Show the screen for a route (deep link or back/forward)
+   * @param {Object} route - { screen, params } from Router.match
+   */
+  async showRoute(route) {
+    const { screen, params } = route;
+
+    switch (screen) {
+      case 'menu':
+        this.showGameMenu('matching');
+        break;
+      case 'valuation-menu':
+        this.showGameMenu('valuation');
+        break;
+      case 'guess-menu':
+        this.showGameMenu('guess');
+        break;
+      case 'daily':
+        UI.updateDailyScreen();
+        UI.showScreen('daily');
+        break;
+      case 'filters':
+        this.showFilters();
+        break;
+      case 'library':
+        this.showLibrary();
+        break;
+      case 'album':
+        this.showAlbum();
+        break;
+      case 'import':
+        this.showImport();
+        break;
+      case 'editor':
+        await this.showEditor();
+        break;
+      case 'player':
+        this.showPlayer(params.id);
+        break;
+      // Game screens resume a matching saved game (e.g. after a reload) before starting a new one
+      case 'game': {
+        const cardCount = parseInt(params.cards, 10);
+        if (SavedGames.get('matching')?.state.cardCount === cardCount) {
+          await this.resumeGame('matching');
+        } else if ([10, 20, 30].includes(cardCount) && Game.canPlay(cardCount, Cards.getPool(this.getGameFilter()))) {
+          await this.startGame(cardCount);
+        } else {
+          this.showGameMenu('matching');
+        }
+        break;
+      }
+      case 'valuation-game':
+        if (SavedGames.get('valuation')?.state.mode === params.mode) {
+          await this.resumeGame('valuation');
+        } else if (Valuation.modes.includes(params.mode) &&
+                   Valuation.canPlay(params.mode, Cards.getPool(this.getGameFilter()))) {
+          await this.startValuationGame(params.mode);
+        } else {
+          this.showGameMenu('valuation');
+        }
+        break;
+      case 'guess-game':
+        if (SavedGames.has('guess')) {
+          await this.resumeGame('guess');
+        } else if (Guess.canPlay(Cards.getPool(this.getGameFilter()))) {
+          await this.startGuessGame();
+        } else {
+          this.showGameMenu('guess');
+        }
+        break;
+      // Results can only be shown again for a game finished this session
+      case 'victory':
+        if (this.lastResult?.game === 'matching') {
+          UI.showScreen('victory');
+        } else {
+          this.showGameMenu('matching');
+        }
+        break;
+      case 'valuation-results':
+        if (this.lastResult?.game === 'valuation') {
+          UI.showScreen('valuation-results');
+        } else {
+          this.showGameMenu('valuation');
+        }
+        break;
+      case 'guess-results':
+        if (this.lastResult?.game === 'guess') {
+          UI.showScreen('guess-results');
+        } else {
+          this.showGameMenu('guess');
+        }
+        break;
+      default:
+        UI.showScreen('game-selector');
+    }
+  },
+
+  /**
+   * Switch to another deck and load its cards
+   * @param {string} deckId - Deck ID from the manifest
+   * @returns {Promise<boolean>} True if the deck is active and has playable cards
+   */
+  async selectDeck(deckId) {
+    if (!Decks.setActive(deckId)) return false;
+
+    await Cards.load();
+    UI.renderDeckPicker(Decks.getAll(), Decks.getActiveId());
+    this.updateFilterSummary();
+    return Cards.allCards.length > 0;
+  },
+
+  /**
+   * Show the menu for a game type, or the daily screen after a daily challenge
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  showGameMenu(gameType) {
+    this.currentChallenge = null;
+
+    if (this.currentDailyGame) {
+      this.currentDailyGame = null;
+      UI.updateDailyScreen();
+      UI.showScreen('daily');
+      return;
+    }
+
+    // Menus show the player's filter: its pool, its high scores and which modes it can fill
+    const filter = Filters.getActive();
+    const filterKey = Filters.getKey(filter);
+    const pool = Cards.getPool(filter);
+    UI.updateFilterBanner(gameType, filter, pool.length);
+
+    switch (gameType) {
+      case 'matching':
+        UI.updateHighScores(filterKey);
+        UI.updateDifficultyButtons(pool);
+        UI.updateResumeButton('matching');
+        UI.showScreen('menu');
+        break;
+      case 'valuation':
+        UI.updateValuationHighScores(filterKey);
+        UI.updateValuationModeButtons(pool);
+        UI.updateResumeButton('valuation');
+        UI.showScreen('valuation-menu');
+        break;
+      case 'guess':
+        UI.renderGuessModeForm(Guess.getSelectedMode());
+        UI.updateGuessHighScores(filterKey);
+        UI.updateGuessStartButton(pool);
+        UI.updateResumeButton('guess');
+        UI.showScreen('guess-menu');
+        break;
+    }
+  },
+
+  /**
+   * Get the filter for a new game: none for daily challenges,
+   * the sender's for challenge links, otherwise the player's
+   * @returns {Object|null} Filter criteria
+   */
+  getGameFilter() {
+    if (this.currentDailyGame) return null;
+    if (this.currentChallenge) return this.currentChallenge.filter || null;
+    return Filters.getActive();
+  },
+
+  /**
+   * Show the filter screen with the player's filter
+   */
+  showFilters() {
+    UI.renderFilterForm(Filters.getActive(), Cards.allCards);
+    this.updateFilterMatchCount();
+    UI.showScreen('filters');
+  },
+
+  /**
+   * Show the Card Library with every card in the deck
+   */
+  showLibrary() {
+    Library.reset();
+    UI.renderLibraryControls(Library.getFacetCounts());
+    this.updateLibrary();
+    UI.showScreen('library');
+  },
+
+  /**
+   * Show the deck import screen
+   */
+  showImport() {
+    UI.renderImportScreen(Decks.getAll().filter(deck => deck.custom));
+    UI.showScreen('import');
+  },
+
+  /**
+   * Import the deck described by the import form and switch to it
+   */
+  async importDeck() {
+    const options = UI.readImportForm();
+    if (!options) {
+      UI.setImportStatus('Choose a JSON or CSV card list to import.');
+      return;
+    }
+
+    const submitButton = document.getElementById('import-submit-btn');
+    submitButton.disabled = true;
+    UI.setImportStatus('Importing...');
+
+    try {
+      const result = await CustomDecks.import(options);
+      if (result.deck) {
+        await Decks.reload();
+        await this.selectDeck(result.deck.id);
+        UI.renderImportedDecks(Decks.getAll().filter(deck => deck.custom));
+      }
+      UI.showImportResult(result);
+    } catch (error) {
+      console.error('Failed to import deck:', error);
+      UI.setImportStatus(`Could not save the deck in this browser: ${error.message}`);
+    } finally {
+      submitButton.disabled = false;
+    }
+  },
+
+  /**
+   * Delete an imported deck (switching back to the default deck if it was active)
+   * @param {string} deckId - Imported deck ID
+   */
+  async deleteImportedDeck(deckId) {
+    const deck = Decks.get(deckId);
+    if (!deck || !window.confirm(`Delete the imported deck "${deck.name}"?`)) return;
+
+    try {
+      await CustomDecks.remove(deckId);
+    } catch (error) {
+      console.error('Failed to delete deck:', error);
+      UI.setImportStatus(`Could not delete the deck: ${error.message}`);
+      return;
+    }
+
+    await Decks.reload();
+    await Cards.load();
+    UI.renderDeckPicker(Decks.getAll(), Decks.getActiveId());
+    this.updateFilterSummary();
+    UI.renderImportedDecks(Decks.getAll().filter(deck => deck.custom));
+    UI.setImportStatus(`Deleted "${deck.name}".`);
+  },
+
+  /**
+   * Show the catalog editor for the active deck's card list
+   */
+  async showEditor() {
+    try {
+      await CatalogEditor.load();
+    } catch (error) {
+      console.error('Failed to load card list:', error);
+      UI.showScreen('game-selector');
+      return;
+    }
+
+    const deck = Decks.get(CatalogEditor.state.deckId);
+    document.getElementById('editor-deck-name').textContent = `${deck?.name ?? ''} • ${CatalogEditor.state.fileName}`;
+    document.getElementById('editor-download-btn').textContent = `Download ${CatalogEditor.state.fileName}`;
+    UI.setEditorStatus('');
+    this.renderEditor();
+    UI.showScreen('editor');
+  },
+
+  /**
+   * Render the editor's list, form and preview for the selected card
+   */
+  renderEditor() {
+    const card = CatalogEditor.getSelected();
+    UI.fillEditorForm(card ? CatalogEditor.toFields(card) : null);
+    this.updateEditorCard();
+    this.checkEditorImage();
+  },
+
+  /**
+   * Refresh the list, inline errors and preview after the selected card changed
+   */
+  updateEditorCard() {
+    const { cards, selectedIndex } = CatalogEditor.state;
+    const invalidIndexes = new Set(CatalogEditor.getInvalidCards().map(result => result.index));
+    UI.renderEditorList(cards, selectedIndex, invalidIndexes);
+
+    const card = CatalogEditor.getSelected();
+    UI.showEditorErrors(card ? CatalogEditor.getFieldErrors(selectedIndex) : {});
+    UI.renderEditorPreview(card ? CatalogEditor.getPreviewCard(card) : null);
+  },
+
+  /**
+   * Check that the selected card's image file exists and show the result inline
+   */
+  async checkEditorImage() {
+    const card = CatalogEditor.getSelected();
+    if (!card) return;
+
+    const message = await CatalogEditor.checkImage(card);
+    // The player may have moved to another card while the check ran
+    if (message && CatalogEditor.getSelected() === card) {
+      const errors = CatalogEditor.getFieldErrors(CatalogEditor.state.selectedIndex);
+      UI.showEditorErrors({ imageFile: message, ...errors });
+    }
+  },
+
+  /**
+   * Download the edited card list, or list the cards that still need fixing
+   */
+  downloadCatalog() {
+    const invalid = CatalogEditor.getInvalidCards();
+    if (invalid.length > 0) {
+      UI.setEditorStatus(
+        `Fix ${invalid.length} card${invalid.length !== 1 ? 's' : ''} before downloading:`,
+        invalid.map(result => ({
+          index: result.index,
+          id: result.id || null,
+          messages: Object.entries(result.fields).map(([field, message]) => `${field}: ${message}`)
+        }))
+      );
+      return;
+    }
+
+    UI.downloadFile(CatalogEditor.state.fileName, CatalogEditor.buildFile(), 'application/json');
+    CatalogEditor.state.isDirty = false;
+    UI.setEditorStatus(`Downloaded ${CatalogEditor.state.fileName} with ${CatalogEditor.state.cards.length} cards.`);
+  },
+
+  /**
+   * Show a player's page with their cards in the deck
+   * @param {string} playerId - Player ID
+   * @param {boolean} fromApp - True when opened from another screen (Back returns there)
+   */
+  showPlayer(playerId, fromApp = false) {
+    const player = Players.get(playerId);
+    if (!player) {
+      UI.showScreen('game-selector');
+      return;
+    }
+
+    this.playerPageOpenedInApp = fromApp;
+    UI.renderPlayerPage(player, Players.getCards(player.id, Cards.allCards));
+    UI.showScreen('player', { id: player.id });
+  },
+
+  /**
+   * Show the collection album for the deck
+   */
+  showAlbum() {
+    // Oldest first so eras are listed in order
+    const cards = [...Cards.allCards].sort((a, b) => a.year - b.year);
+    UI.renderAlbum(
+      Collection.getAlbumPages(cards),
+      Collection.getProgress(cards, () => 'All cards')[0],
+      Collection.getProgress(cards, card => Collection.getEraName(card)),
+      Collection.getProgress(cards, card => card.cardSet),
+      Collection.getAll()
+    );
+    UI.showScreen('album');
+  },
+
+  /**
+   * Re-list library cards after a search, sort or facet change
+   */
+  updateLibrary() {
+    Object.assign(Library.state, UI.readLibraryControls());
+    UI.renderLibraryList(Library.getResults(), Cards.allCards.length);
+  },
+
+  /**
+   * Update the match count for the filter being edited
+   */
+  updateFilterMatchCount() {
+    UI.updateFilterMatchCount(Cards.getPool(UI.readFilterForm()).length);
+  },
+
+  /**
+   * Update the filter summary on the game selector
+   */
+  updateFilterSummary() {
+    const filter = Filters.getActive();
+    UI.updateFilterSummary(filter, Cards.getPool(filter).length);
+  },
+
+  /**
+   * Get how the current game was started, saved alongside it for resuming
+   * @returns {Object} Deck, daily challenge date and shared challenge
+   */
+  getGameContext() {
+    return {
+      deckId: Cards.deckId,
+      dailyDate: this.currentDailyGame ? Daily.getDateKey() : null,
+      challenge: this.currentChallenge
+    };
+  },
+
+  /**
+   * Resume the saved game of a game type
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  async resumeGame(gameType) {
+    const saved = SavedGames.get(gameType);
+    if (!saved) return;
+
+    // Saved games resume with the deck they were started with
+    const context = saved.context || {};
+    if (context.deckId && context.deckId !== Cards.deckId && !(await this.selectDeck(context.deckId))) {
+      SavedGames.clear(gameType);
+      this.showGameMenu(gameType);
+      return;
+    }
+
+    // A daily challenge from an earlier day resumes as a normal game
+    this.currentDailyGame = context.dailyDate === Daily.getDateKey() ? gameType : null;
+    this.currentChallenge = context.challenge || null;
+
+    switch (gameType) {
+      case 'matching': {
+        const cards = await Game.restore(saved.state);
+        if (!cards) break;
+
+        this.currentCardCount = Game.state.cardCount;
+        UI.renderBoard(cards);
+
+        // Put matched pairs and a half-finished turn back face up
+        const matchedTileIds = cards
+          .filter(c => Game.state.matchedPairs.includes(c.id))
+          .map(c => c.tileId);
+        matchedTileIds.forEach(tileId => UI.flipCard(tileId));
+        UI.markMatched(matchedTileIds);
+        Game.state.flippedCards.forEach(c => UI.flipCard(c.tileId));
+
+        UI.updateTurns(Game.getTurns());
+        UI.setDailyMode(this.currentDailyGame !== null);
+        UI.showScreen('game', { cards: this.currentCardCount });
+        return;
+      }
+      case 'valuation': {
+        const roundData = await Valuation.restore(saved.state);
+        if (!roundData) break;
+
+        this.currentValuationMode = roundData.mode;
+        this.showValuationMode(roundData.mode);
+        this.renderValuationRound(roundData);
+        if (Valuation.isSortMode(roundData.mode)) {
+          this.renderPlacements(Valuation.state.placements);
+        }
+        UI.setDailyMode(this.currentDailyGame !== null);
+        UI.showScreen('valuation-game', { mode: roundData.mode });
+        return;
+      }
+      case 'guess': {
+        const roundData = await Guess.restore(saved.state);
+        if (!roundData) break;
+
+        UI.renderGuessRound(roundData);
+        UI.setDailyMode(this.currentDailyGame !== null);
+        UI.showScreen('guess-game');
+        return;
+      }
+    }
+
+    // Saved cards are no longer in the catalog - drop the save
+    SavedGames.clear(gameType);
+    this.currentDailyGame = null;
+    this.currentChallenge = null;
+    this.showGameMenu(gameType);
+  },
+
+  /**
+   * Start today's daily challenge for a game type
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  async startDailyChallenge(gameType) {
+    if (Daily.canResume(gameType)) {
+      await this.resumeGame(gameType);
+      return;
+    }
+
+    // Each challenge can only be played once per day
+    if (Daily.hasPlayed(gameType)) return;
+
+    Daily.markStarted(gameType);
+    this.currentDailyGame = gameType;
+    const seed = Daily.getSeed(gameType);
+
+    switch (gameType) {
+      case 'matching':
+        await this.startGame(Daily.matchingCardCount, seed);
+        break;
+      case 'valuation':
+        await this.startValuationGame(Daily.getValuationMode(), seed);
+        break;
+      case 'guess':
+        // Everyone plays the daily card in the standard mode
+        await this.startGuessGame(seed, Guess.getDefaultMode());
+        break;
+    }
+  },
+
+  /**
+   * Start the game described by a shared challenge link
+   * @param {Object} challenge - { game, mode, seed, score, deck, filter } from Share.parse
+   */
+  async startChallenge(challenge) {
+    // Challenges replay on the sender's deck
+    if (challenge.deck !== Cards.deckId && !(await this.selectDeck(challenge.deck))) {
+      UI.showScreen('game-selector');
+      return;
+    }
+
+    this.currentDailyGame = null;
+    this.currentChallenge = challenge;
+
+    switch (challenge.game) {
+      case 'matching':
+        await this.startGame(challenge.mode, challenge.seed);
+        break;
+      case 'valuation':
+        await this.startValuationGame(challenge.mode, challenge.seed);
+        break;
+      case 'guess':
+        await this.startGuessGame(challenge.seed, Guess.parseModeKey(challenge.mode));
+        break;
+    }
+  },
+
+  /**
+   * Take the shared challenge for a finished game, if one was being played
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {Object|null} Challenge or null
+   */
+  takeChallenge(gameType) {
+    const challenge = this.currentChallenge;
+    this.currentChallenge = null;
+    return challenge?.game === gameType ? challenge : null;
+  },
+
   /**
    * Start a new game
    * @param {number} cardCount - Number of unique cards
+   * @param {number|string} seed - Random seed (optional)
    */
-  async startGame(cardCount) {
+  async startGame(cardCount, seed) {
     this.currentCardCount = cardCount;
 
     // Initialize game
-    const cards = await Game.init(cardCount);
+    const cards = await Game.init(cardCount, seed, this.getGameFilter());
+    SavedGames.setContext('matching', this.getGameContext());
 
     // Render board
     UI.renderBoard(cards);
     UI.updateTurns(0);
+    UI.setDailyMode(this.currentDailyGame !== null);
 
     // Show game screen
-    UI.showScreen('game');
+    UI.showScreen('game', { cards: cardCount });
   },
 
   /**
@@ -333,10 +1296,15 @@ const App = {
         // Cards matched!
         UI.updateTurns(result.turns);
         UI.markMatched([result.cards[0].tileId, result.cards[1].tileId]);
+        UI.showCollected(result.collected);
 
         if (result.isVictory) {
-          // Delay victory screen for animation
-          setTimeout(() => this.handleVictory(), 800);
+          // Delay victory screen for animation (skipped if the player navigated away)
+          setTimeout(() => {
+            if (Game.state.isPlaying) {
+              this.handleVictory();
+            }
+          }, 800);
         }
         break;
 
@@ -362,8 +1330,19 @@ const App = {
     const turns = Game.getTurns();
     const matchedCards = Game.getMatchedCards();
 
-    // Check for new high score
-    const isNewRecord = HighScores.save(this.currentCardCount, turns);
+    // Daily scores are kept apart from high scores
+    const { filter } = Game.state;
+    let isNewRecord = false;
+    if (this.currentDailyGame) {
+      Daily.saveResult('matching', turns);
+    } else {
+      isNewRecord = HighScores.save('matching', this.currentCardCount, turns, Filters.getKey(filter));
+    }
+
+    this.lastResult = {
+      game: 'matching', mode: this.currentCardCount, seed: Game.state.seed, score: turns, deck: Cards.deckId, filter
+    };
+    const challenge = this.takeChallenge('matching');
 
     // Show victory screen
     UI.showVictory({
@@ -371,23 +1350,33 @@ const App = {
       isNewRecord,
       matchedCards
     });
+    UI.showFilterLabel('victory-filter-label', filter);
+    UI.showChallengeResult('victory-challenge-result', challenge && {
+      yourScore: turns,
+      theirScore: challenge.score,
+      lowerIsBetter: true,
+      format: score => `${score} turns`
+    });
   },
 
   // ===== VALUATION GAME METHODS =====
 
   /**
    * Start a new valuation game
-   * @param {string} mode - Game mode ('3-card', '2-card', '1-card')
+   * @param {string} mode - Game mode (a sort mode, '2-card', '1-card', 'as-of-year', 'estimate')
+   * @param {number|string} seed - Random seed (optional)
    */
-  async startValuationGame(mode) {
+  async startValuationGame(mode, seed) {
     this.currentValuationMode = mode;
-    const roundData = await Valuation.init(mode);
+    const roundData = await Valuation.init(mode, seed, this.getGameFilter());
+    SavedGames.setContext('valuation', this.getGameContext());
 
     // Show appropriate mode layout
     this.showValuationMode(mode);
     this.renderValuationRound(roundData);
+    UI.setDailyMode(this.currentDailyGame !== null);
 
-    UI.showScreen('valuation-game');
+    UI.showScreen('valuation-game', { mode });
   },
 
   /**
@@ -395,12 +1384,16 @@ const App = {
    * @param {string} mode - Game mode
    */
   showValuationMode(mode) {
-    document.getElementById('three-card-mode').style.display =
-      mode === '3-card' ? 'flex' : 'none';
+    document.getElementById('sort-mode').style.display =
+      Valuation.isSortMode(mode) ? 'flex' : 'none';
     document.getElementById('two-card-mode').style.display =
-      mode === '2-card' ? 'flex' : 'none';
+      mode === '2-card' || mode === 'as-of-year' ? 'flex' : 'none';
     document.getElementById('one-card-mode').style.display =
       mode === '1-card' ? 'flex' : 'none';
+    document.getElementById('estimate-mode').style.display =
+      mode === 'estimate' ? 'flex' : 'none';
+    document.getElementById('correct-counter-label').textContent =
+      mode === 'estimate' || Valuation.isSortMode(mode) ? 'POINTS' : 'CORRECT';
   },
 
   /**
@@ -408,7 +1401,7 @@ const App = {
    * @param {Object} roundData - Round data from Valuation module
    */
   renderValuationRound(roundData) {
-    const { cards, round, mode } = roundData;
+    const { cards, round, mode, year } = roundData;
 
     // Update counters
     UI.updateValuationCounters(round, Valuation.state.correctCount);
@@ -416,21 +1409,30 @@ const App = {
     // Render mode-specific UI
     switch (mode) {
       case '3-card':
-        UI.renderThreeCardMode(cards);
+      case '4-card':
+      case '5-card':
+      case '6-card':
+        UI.renderSortMode(cards);
         document.getElementById('submit-order-btn').disabled = true;
         break;
       case '2-card':
         UI.renderTwoCardMode(cards);
         break;
+      case 'as-of-year':
+        UI.renderTwoCardMode(cards, year);
+        break;
       case '1-card':
         const options = Valuation.getValueOptions(cards[0]);
         UI.renderOneCardMode(cards[0], options);
         break;
+      case 'estimate':
+        UI.renderEstimateMode(cards[0]);
+        break;
     }
   },
 
   /**
-   * Handle card selection in 3-card mode
+   * Handle card selection in sort modes
    * @param {string} cardId - Selected card ID
    */
   handleCardSelection(cardId) {
@@ -443,7 +1445,7 @@ const App = {
   },
 
   /**
-   * Handle position slot click in 3-card mode
+   * Handle position slot click in sort modes
    * @param {number} position - Position index (0-2)
    */
   handlePositionClick(position) {
@@ -451,9 +1453,33 @@ const App = {
 
     if (result.action === 'ignored') return;
 
-    // Update UI with placements
-    const { placements, canSubmit } = result;
+    this.renderPlacements(result.placements);
+  },
 
+  /**
+   * Handle a card dragged onto a position slot or back to the pool (sort modes)
+   * @param {string} cardId - Dragged card ID
+   * @param {number|null} position - Position index, or null for the pool
+   */
+  handleCardDrop(cardId, position) {
+    let result;
+    if (position === null) {
+      result = Valuation.removeCard(cardId);
+    } else {
+      Valuation.selectCard(cardId);
+      result = Valuation.placeCard(position);
+    }
+
+    if (result.action === 'ignored') return;
+
+    this.renderPlacements(result.placements);
+  },
+
+  /**
+   * Show placed cards in the position slots (sort modes)
+   * @param {Array} placements - Card IDs by position (null for empty)
+   */
+  renderPlacements(placements) {
     document.querySelectorAll('.position-slot').forEach((slot, index) => {
       const slotContent = slot.querySelector('.slot-content');
       slotContent.innerHTML = '';
@@ -462,6 +1488,7 @@ const App = {
         const card = Valuation.state.roundCards.find(c => c.id === placements[index]);
         const showNames = document.getElementById('show-names-toggle')?.checked ?? true;
         const cardEl = UI.createValuationCard(card, showNames);
+        UI.enableCardDrag(cardEl, card.id);
         slotContent.appendChild(cardEl);
       }
     });
@@ -474,14 +1501,15 @@ const App = {
     });
 
     // Enable/disable submit button
-    document.getElementById('submit-order-btn').disabled = !canSubmit;
+    document.getElementById('submit-order-btn').disabled = placements.includes(null);
   },
 
   /**
-   * Handle submit in 3-card mode
+   * Handle submit in sort modes
    */
-  handleThreeCardSubmit() {
+  handleSortSubmit() {
     const result = Valuation.submitAnswer(Valuation.state.placements);
+    if (result.action === 'ignored') return;
     this.handleValuationAnswer(result);
   },
 
@@ -503,6 +1531,21 @@ const App = {
     this.handleValuationAnswer(result);
   },
 
+  /**
+   * Handle estimate submission
+   */
+  handleEstimateSubmit() {
+    const amount = Valuation.parseEstimate(document.getElementById('estimate-input').value);
+    if (amount === null) {
+      UI.showEstimateError('Enter a dollar amount, like $250,000 or 2.5m');
+      return;
+    }
+
+    const result = Valuation.submitAnswer(amount);
+    if (result.action === 'ignored') return;
+    this.handleValuationAnswer(result);
+  },
+
   /**
    * Handle valuation answer submission
    * @param {Object} result - Result from Valuation module
@@ -513,9 +1556,13 @@ const App = {
 
     // Show answer reveal with animation
     UI.showAnswerReveal(result);
+    UI.showCollected(result.collected);
 
     // After delay, either next round or results
     setTimeout(() => {
+      // Player navigated away during the reveal
+      if (!Valuation.state.isPlaying) return;
+
       if (result.isGameOver) {
         this.handleValuationComplete();
       } else {
@@ -530,42 +1577,92 @@ const App = {
    */
   handleValuationComplete() {
     const results = Valuation.getResults();
-    const isNewRecord = HighScores.save('valuation', results.mode, results.score);
+    const { filter } = Valuation.state;
+    let isNewRecord = false;
+    if (this.currentDailyGame) {
+      Daily.saveResult('valuation', results.score);
+    } else {
+      isNewRecord = HighScores.save('valuation', Valuation.getHighScoreKey(results.mode), results.score, Filters.getKey(filter));
+    }
+
+    this.lastResult = {
+      game: 'valuation', mode: results.mode, seed: Valuation.state.seed, score: results.score, deck: Cards.deckId, filter
+    };
+    const challenge = this.takeChallenge('valuation');
 
     UI.showValuationResults({
       ...results,
       isNewRecord
     });
+    UI.showFilterLabel('valuation-filter-label', filter);
+    UI.showChallengeResult('valuation-challenge-result', challenge && {
+      yourScore: results.score,
+      theirScore: challenge.score,
+      lowerIsBetter: false,
+      format: score => `${score}/${results.total}`
+    });
   },
 
   // ===== GUESS GAME METHODS =====
 
   /**
    * Start a new guess game
+   * @param {number|string} seed - Random seed (optional)
+   * @param {Object} mode - { style, attempts, junior, fields, lives } (optional, the mode chosen on the menu if omitted)
    */
-  async startGuessGame() {
-    const roundData = await Guess.init();
+  async startGuessGame(seed, mode = Guess.getSelectedMode()) {
+    const roundData = await Guess.init(seed, this.getGameFilter(), mode);
+    SavedGames.setContext('guess', this.getGameContext());
     UI.renderGuessRound(roundData);
+    UI.setDailyMode(this.currentDailyGame !== null);
     UI.showScreen('guess-game');
   },
 
+  /**
+   * Fill the name input with a suggested name
+   * @param {string} name - Chosen player name
+   */
+  chooseNameSuggestion(name) {
+    document.getElementById('player-name-input').value = name;
+    this.clearNameSuggestions();
+  },
+
+  /**
+   * Close the name suggestions
+   */
+  clearNameSuggestions() {
+    this.nameSuggestions = { names: [], activeIndex: -1 };
+    UI.hideNameSuggestions();
+  },
+
   /**
    * Handle guess submission
    */
   handleGuessSubmit() {
-    const playerName = document.getElementById('player-name-input').value;
-    const year = document.getElementById('year-input').value;
+    const { choices, currentCard, nameCorrect, yearCorrect, mode } = Guess.state;
+    let playerName;
+    let year;
+    if (choices) {
+      // Junior mode: answered parts keep their answer
+      playerName = nameCorrect ? currentCard.playerName : UI.getGuessChoice('name');
+      year = yearCorrect ? String(currentCard.year) : UI.getGuessChoice('year');
+    } else {
+      playerName = document.getElementById('player-name-input').value;
+      year = document.getElementById('year-input').value;
+    }
+
+    const fieldAnswers = Object.fromEntries(mode.fields.map(id => [id, Dom.findByData('guess-field', id).value]));
 
     // Validate inputs
     if (!playerName.trim() || !year) {
-      const feedback = document.getElementById('guess-feedback');
-      feedback.style.display = 'block';
-      feedback.className = 'guess-feedback incorrect';
-      feedback.innerHTML = '<strong>⚠ Please enter both player name and year</strong>';
+      document.getElementById('guess-feedback').style.display = 'block';
+      UI.setGuessFeedback('incorrect', choices
+        ? '⚠ Please pick a year and a player'
+        : '⚠ Please enter both player name and year');
       return;
     }
 
-    const result = Guess.submitGuess(playerName, year);
+    const result = Guess.submitGuess(playerName, year, fieldAnswers);
 
     if (result.action === 'ignored') {
       return;
@@ -584,6 +1681,9 @@ const App = {
 
     // Show feedback
     UI.showGuessFeedback(result);
+    UI.showCollected(result.collected);
+    UI.renderGuessHints(Guess.getHints());
+    UI.renderGuessChoices(Guess.state.choices);
 
     if (result.isCorrect || result.isRoundOver) {
       // Reveal the card
@@ -591,6 +1691,9 @@ const App = {
 
       // Wait 2.5s, then next round or results
       setTimeout(() => {
+        // Player navigated away during the reveal
+        if (!Guess.state.isPlaying) return;
+
         if (result.isGameOver) {
           this.handleGuessComplete();
         } else {
@@ -601,7 +1704,7 @@ const App = {
     } else {
       // Update for next attempt
       UI.updateAttemptsIndicator(result.attemptsRemaining);
-      UI.updateCardBlur(Guess.getBlurAmount());
+      UI.updateCardReveal(Guess.getReveal());
     }
   },
 
@@ -610,12 +1713,38 @@ const App = {
    */
   handleGuessComplete() {
     const results = Guess.getResults();
-    const isNewRecord = HighScores.save('guess', null, results.totalPoints);
+    const { filter, mode } = Guess.state;
+    // Each reveal style and number of attempts has its own high score
+    const modeKey = Guess.getModeKey(mode);
+    let isNewRecord = false;
+    if (this.currentDailyGame) {
+      Daily.saveResult('guess', results.totalPoints);
+    } else if (mode.lives !== null) {
+      // Survival keeps the best total and the best streak
+      const isBestTotal = HighScores.save('guessSurvival', modeKey, results.totalPoints, Filters.getKey(filter));
+      const isBestStreak = HighScores.save('guessStreak', modeKey, results.bestStreak, Filters.getKey(filter));
+      isNewRecord = isBestTotal || isBestStreak;
+    } else {
+      isNewRecord = HighScores.save('guess', modeKey, results.totalPoints, Filters.getKey(filter));
+    }
+
+    this.lastResult = {
+      game: 'guess', mode: modeKey, seed: Guess.state.seed, score: results.totalPoints, deck: Cards.deckId, filter
+    };
+    const challenge = this.takeChallenge('guess');
 
     UI.showGuessResults({
       ...results,
+      mode,
       isNewRecord
     });
+    UI.showFilterLabel('guess-filter-label', filter);
+    UI.showChallengeResult('guess-challenge-result', challenge && {
+      yourScore: results.totalPoints,
+      theirScore: challenge.score,
+      lowerIsBetter: false,
+      format: score => (results.maxPoints === null ? `${score} points` : `${score}/${results.maxPoints}`)
+    });
   }
 };
 
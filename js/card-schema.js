@@ -0,0 +1,173 @@
+/**
+ * Card Data Schema
+ * Validates card records so a broken data file shows errors instead of breaking the games
+ */
+const CardSchema = {
+  requiredStrings: ['id', 'playerName', 'cardSet', 'grade', 'imageFile', 'description', 'team', 'position'],
+  minYear: 1860,            // Earliest baseball cards
+  imagePattern: /\.(jpe?g|png|gif|svg|webp)$/i,
+  datePattern: /^\d{4}-\d{2}-\d{2}$/,
+
+  /**
+   * Validate a card data file
+   * @param {Object} data - Parsed JSON with a cards array
+   * @param {Object} options - { checkImages: true } to confirm image files exist,
+   *                           { imageFiles: Set } to check against a set of file names instead of fetching
+   * @returns {Promise<Object>} { validCards, errors } where errors list bad records
+   */
+  async validate(data, { checkImages = true, imageFiles = null } = {}) {
+    if (!data || !Array.isArray(data.cards)) {
+      return {
+        validCards: [],
+        errors: [{ index: null, id: null, messages: ['Card data must have a "cards" array'] }]
+      };
+    }
+
+    const seenIds = new Set();
+    const results = data.cards.map((card, index) => {
+      const messages = this.validateCard(card);
+
+      // Later duplicates are reported, the first occurrence is kept
+      if (typeof card?.id === 'string') {
+        if (seenIds.has(card.id)) {
+          messages.push(`Duplicate id "${card.id}"`);
+        }
+        seenIds.add(card.id);
+      }
+
+      return { card, index, messages };
+    });
+
+    if (imageFiles) {
+      results.forEach(result => {
+        if (result.messages.length === 0 && !imageFiles.has(result.card.imageFile)) {
+          result.messages.push(`Image file "${result.card.imageFile}" was not included`);
+        }
+      });
+    } else if (checkImages) {
+      await Promise.all(results.map(async result => {
+        if (result.messages.length > 0) return;
+        const exists = await this.imageExists(Cards.getImagePath(result.card));
+        if (!exists) {
+          result.messages.push(`Image file "${result.card.imageFile}" not found`);
+        }
+      }));
+    }
+
+    return {
+      validCards: results.filter(r => r.messages.length === 0).map(r => r.card),
+      errors: results
+        .filter(r => r.messages.length > 0)
+        .map(r => ({ index: r.index, id: r.card?.id ?? null, messages: r.messages }))
+    };
+  },
+
+  /**
+   * Check a single card record's fields
+   * @param {Object} card - Card record
+   * @returns {Array} Error messages (empty if valid)
+   */
+  validateCard(card) {
+    return this.getCardErrors(card).map(error => error.message);
+  },
+
+  /**
+   * Check a single card record's fields, noting which field each problem is in
+   * @param {Object} card - Card record
+   * @returns {Array} { field, message } (field is null when the record isn't an object), empty if valid
+   */
+  getCardErrors(card) {
+    if (!card || typeof card !== 'object') {
+      return [{ field: null, message: 'Record is not an object' }];
+    }
+
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    this.requiredStrings.forEach(field => {
+      if (typeof card[field] !== 'string' || card[field].trim() === '') {
+        add(field, `Missing ${field}`);
+      }
+    });
+
+    const maxYear = new Date().getFullYear();
+    if (!Number.isInteger(card.year) || card.year < this.minYear || card.year > maxYear) {
+      add('year', `Year must be a whole number from ${this.minYear} to ${maxYear}`);
+    }
+
+    // Structured { amount, currency, qualifier, ... } or a display string like "$8,000,000+"
+    if (card.estimatedValue === undefined || card.estimatedValue === null) {
+      add('estimatedValue', 'Missing estimatedValue');
+    } else if (Cards.normalizeValue(card.estimatedValue) === null) {
+      const shown = typeof card.estimatedValue === 'string'
+        ? card.estimatedValue
+        : JSON.stringify(card.estimatedValue);
+      add('estimatedValue', `Unreadable estimatedValue ${shown}`);
+    }
+
+    if (card.priceHistory !== undefined) {
+      this.validatePriceHistory(card.priceHistory).forEach(message => add('priceHistory', message));
+    }
+
+    if (typeof card.imageFile === 'string' && !this.imagePattern.test(card.imageFile)) {
+      add('imageFile', `Image file "${card.imageFile}" is not a supported image type`);
+    }
+
+    if (card.cardNumber !== undefined && card.cardNumber !== null && typeof card.cardNumber !== 'string') {
+      add('cardNumber', 'cardNumber must be text or null');
+    }
+
+    // Player references are checked only when the registry loaded
+    if (card.playerId !== undefined) {
+      if (typeof card.playerId !== 'string' || card.playerId === '') {
+        add('playerId', 'playerId must be text');
+      } else if (Players.players.length > 0 && !Players.get(card.playerId)) {
+        add('playerId', `Unknown playerId "${card.playerId}"`);
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * Check a card's price history
+   * Every entry names where its price came from, and each date appears once
+   * @param {Array} history - Dated values like { asOf: "2005-06-30", amount: 150000, source: "..." }
+   * @returns {Array} Error messages (empty if valid)
+   */
+  validatePriceHistory(history) {
+    if (!Array.isArray(history)) {
+      return ['priceHistory must be a list'];
+    }
+
+    const messages = [];
+    const dates = new Set();
+    history.forEach((entry, index) => {
+      if (typeof entry?.asOf !== 'string' || !this.datePattern.test(entry.asOf)) {
+        messages.push(`priceHistory entry ${index + 1} needs an asOf date (YYYY-MM-DD)`);
+      } else if (dates.has(entry.asOf)) {
+        messages.push(`priceHistory entry ${index + 1} repeats the date ${entry.asOf}`);
+      } else if (Cards.normalizeValue(entry) === null) {
+        messages.push(`priceHistory entry ${index + 1} has an unreadable amount`);
+      } else if (typeof entry.source !== 'string' || entry.source.trim() === '') {
+        messages.push(`priceHistory entry ${index + 1} needs a source`);
+      }
+      if (typeof entry?.asOf === 'string') dates.add(entry.asOf);
+    });
+    return messages;
+  },
+
+  /**
+   * Check that an image file can be fetched
+   * @param {string} path - Image path
+   * @returns {Promise<boolean>} True if the image exists
+   */
+  async imageExists(path) {
+    try {
+      const response = await fetch(path, { method: 'HEAD' });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+};
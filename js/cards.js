@@ -5,34 +5,125 @@
 const Cards = {
   allCards: [],
   isLoaded: false,
+  deckId: null,     // Deck the loaded cards came from
+  imagePath: 'images/cards/', // Image folder of the loaded deck
+  imageUrls: {},    // Object URLs by image file name for an imported deck's stored images
+  loadErrors: [],   // Invalid records (or load failure) from the last load
+  valueQualifiers: ['exact', 'at-least', 'range'],
 
   /**
-   * Load cards from JSON file
+   * Load the active deck's cards from its JSON file (or IndexedDB for an imported deck)
+   * Invalid records are left out of allCards and listed in loadErrors
    */
   async load() {
-    if (this.isLoaded) {
+    const deck = await Decks.getActive();
+    await Players.load();
+    if (this.isLoaded && this.deckId === deck.id) {
       return this.allCards;
     }
 
+    // Switching decks - drop the previous deck's cards
+    this.isLoaded = false;
+    this.allCards = [];
+    this.deckId = deck.id;
+    this.imagePath = deck.images || 'images/cards/';
+    Object.values(this.imageUrls).forEach(url => URL.revokeObjectURL(url));
+    this.imageUrls = {};
+
     try {
-      const response = await fetch('data/cards.json');
-      const data = await response.json();
-      this.allCards = data.cards;
+      const { validCards, errors } = deck.custom
+        ? await this.loadImported(deck.id)
+        : await this.loadFromFile(deck);
+
+      // Store every value in the structured form (data may use display strings)
+      this.allCards = validCards.map(card => ({
+        ...card,
+        estimatedValue: this.normalizeValue(card.estimatedValue),
+        priceHistory: this.normalizePriceHistory(card.priceHistory)
+      }));
+      this.loadErrors = errors;
       this.isLoaded = true;
       return this.allCards;
     } catch (error) {
       console.error('Failed to load cards:', error);
+      this.loadErrors = [{ index: null, id: null, messages: [`Could not load card data: ${error.message}`] }];
       return [];
     }
   },
 
+  /**
+   * Read a built-in deck's cards from its data file
+   * A deck with cardIds uses just those records of the file, so decks can share one catalog
+   * @param {Object} deck - Manifest entry
+   * @returns {Promise<Object>} { validCards, errors } from CardSchema.validate
+   */
+  async loadFromFile(deck) {
+    const data = await this.fetchCardData(deck.cards);
+    if (!deck.cardIds || !Array.isArray(data?.cards)) {
+      return CardSchema.validate(data);
+    }
+
+    const found = deck.cardIds.map(id => data.cards.findIndex(card => card?.id === id));
+    const listed = found.filter(index => index !== -1);
+    const { validCards, errors } = await CardSchema.validate({ cards: listed.map(index => data.cards[index]) });
+    const missing = deck.cardIds
+      .filter((id, i) => found[i] === -1)
+      .map(id => ({ index: null, id, messages: [`Card "${id}" is not in ${deck.cards}`] }));
+
+    return {
+      validCards,
+      // Number records as they appear in the data file
+      errors: [...missing, ...errors.map(error => ({ ...error, index: listed[error.index] }))]
+    };
+  },
+
+  /**
+   * Fetch a deck's card data file
+   * @param {string} path - JSON file path
+   * @returns {Promise<Object>} Parsed card data
+   */
+  async fetchCardData(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Read an imported deck's cards and point its image files at the stored images
+   * @param {string} deckId - Imported deck ID
+   * @returns {Promise<Object>} { validCards, errors } from CardSchema.validate
+   */
+  async loadImported(deckId) {
+    const stored = await CustomDecks.get(deckId);
+    if (!stored) {
+      throw new Error('Imported deck not found in browser storage');
+    }
+
+    Object.entries(stored.images).forEach(([fileName, blob]) => {
+      this.imageUrls[fileName] = URL.createObjectURL(blob);
+    });
+    return CardSchema.validate({ cards: stored.cards }, { imageFiles: new Set(Object.keys(this.imageUrls)) });
+  },
+
+  /**
+   * Get the cards a game can draw from
+   * @param {Object|null} filter - Filter criteria (null for every card)
+   * @returns {Array} Cards that pass the filter
+   */
+  getPool(filter = null) {
+    return Filters.apply(this.allCards, filter);
+  },
+
   /**
    * Select random subset of cards
    * @param {number} count - Number of cards to select
+   * @param {Object|null} filter - Filter criteria (null for every card)
    * @returns {Array} Selected cards
    */
-  selectRandom(count) {
-    const shuffled = [...this.allCards].sort(() => Math.random() - 0.5);
+  selectRandom(count, filter = null) {
+    const shuffled = Random.shuffle(this.getPool(filter));
     return shuffled.slice(0, count);
   },
 
@@ -51,12 +142,7 @@ const Cards = {
     });
 
     // Fisher-Yates shuffle
-    for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [deck[i], deck[j]] = [deck[j], deck[i]];
-    }
-
-    return deck;
+    return Random.shuffle(deck);
   },
 
   /**
@@ -68,6 +154,15 @@ const Cards = {
     return this.allCards.find(card => card.id === id) || null;
   },
 
+  /**
+   * Get image path for a card
+   * @param {Object} card - Card object
+   * @returns {string} Image URL (an object URL for imported decks)
+   */
+  getImagePath(card) {
+    return this.imageUrls[card.imageFile] ?? `${this.imagePath}${card.imageFile}`;
+  },
+
   /**
    * Preload card images
    * @param {Array} cards - Cards to preload
@@ -75,38 +170,268 @@ const Cards = {
   preloadImages(cards) {
     cards.forEach(card => {
       const img = new Image();
-      img.src = `images/cards/${card.imageFile}`;
+      img.src = this.getImagePath(card);
     });
   },
 
   /**
-   * Parse value string to number
-   * @param {string} valueString - Value like "$8,000,000" or "$13,000,000+"
-   * @returns {number} Numeric value
+   * Parse a display value string into a structured value
+   * @param {string} valueString - Value like "$8,000,000", "$13,000,000+" or "$1,000,000-$2,000,000"
+   * @returns {Object|null} Structured value, or null if unreadable
    */
   parseValue(valueString) {
-    // Remove $, commas, and + symbols, then parse
-    return parseInt(valueString.replace(/[$,+]/g, ''), 10);
+    const parts = valueString.trim().split(/\s*[-–]\s*/);
+    const toAmount = part => {
+      const cleaned = part.replace(/[$,+\s]/g, '');
+      return /^\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : NaN;
+    };
+
+    if (parts.length === 2) {
+      const amount = toAmount(parts[0]);
+      const maxAmount = toAmount(parts[1]);
+      if (!(amount > 0) || !(maxAmount > amount)) return null;
+      return { amount, maxAmount, currency: 'USD', qualifier: 'range' };
+    }
+
+    const amount = toAmount(parts[0]);
+    if (parts.length !== 1 || !(amount > 0)) return null;
+    return {
+      amount,
+      currency: 'USD',
+      qualifier: parts[0].endsWith('+') ? 'at-least' : 'exact'
+    };
+  },
+
+  /**
+   * Convert a card value to the structured form
+   * @param {string|Object} value - Display string or structured value
+   * @returns {Object|null} Structured value { amount, maxAmount?, currency, qualifier, asOf?, source? },
+   *   or null if invalid
+   */
+  normalizeValue(value) {
+    if (typeof value === 'string') {
+      return this.parseValue(value);
+    }
+    if (!value || typeof value !== 'object') return null;
+
+    const { amount, maxAmount, currency = 'USD', qualifier = 'exact', asOf, source } = value;
+    if (!(typeof amount === 'number' && amount > 0)) return null;
+    if (!this.valueQualifiers.includes(qualifier)) return null;
+    if (qualifier === 'range' && !(typeof maxAmount === 'number' && maxAmount > amount)) return null;
+    if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return null;
+
+    const normalized = { amount, currency, qualifier };
+    if (qualifier === 'range') normalized.maxAmount = maxAmount;
+    if (asOf) normalized.asOf = asOf;
+    if (source) normalized.source = source;
+    return normalized;
+  },
+
+  /**
+   * Convert a price history to structured values, oldest first
+   * @param {Array} history - Dated values ({ asOf: "2005-06-30", amount, ... }), optional
+   * @returns {Array} Structured values sorted by date
+   */
+  normalizePriceHistory(history) {
+    if (!Array.isArray(history)) return [];
+
+    // Unreadable or undated entries are dropped (the editor preview passes unvalidated history)
+    return history
+      .map(entry => this.normalizeValue(entry))
+      .filter(value => value?.asOf)
+      .sort((a, b) => a.asOf.localeCompare(b.asOf));
+  },
+
+  /**
+   * Get every dated value for a card: its price history plus the current value
+   * @param {Object} card - Card object
+   * @returns {Array} Structured values with asOf dates, oldest first
+   */
+  getPriceTimeline(card) {
+    const timeline = [...card.priceHistory];
+    const last = timeline[timeline.length - 1];
+    if (card.estimatedValue.asOf && (!last || card.estimatedValue.asOf > last.asOf)) {
+      timeline.push(card.estimatedValue);
+    }
+    return timeline;
+  },
+
+  /**
+   * Check if a card has price history with a source on every entry
+   * @param {Object} card - Card object
+   * @returns {boolean} True if the card can be used for past-price rounds
+   */
+  hasSourcedHistory(card) {
+    return card.priceHistory.length > 0 && card.priceHistory.every(value => value.source);
+  },
+
+  /**
+   * Get a card's value as of the end of a year
+   * @param {Object} card - Card object
+   * @param {number} year - Year
+   * @returns {Object|null} Latest structured value dated in or before that year,
+   *   or null if the card has no price from then
+   */
+  getValueAsOf(card, year) {
+    const timeline = this.getPriceTimeline(card);
+    const cutoff = `${year}-12-31`;
+    const matches = timeline.filter(value => value.asOf <= cutoff);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  },
+
+  /**
+   * Get the years that have price history for at least a given number of cards
+   * @param {number} minCards - Minimum number of cards with a price that year
+   * @param {Array} cards - Cards to look at (default: all cards)
+   * @returns {Array} Years, oldest first
+   */
+  getHistoryYears(minCards = 2, cards = this.allCards) {
+    const counts = {};
+    cards.forEach(card => {
+      const years = new Set(card.priceHistory.map(value => Number(value.asOf.slice(0, 4))));
+      years.forEach(year => {
+        counts[year] = (counts[year] || 0) + 1;
+      });
+    });
+
+    return Object.keys(counts)
+      .map(Number)
+      .filter(year => counts[year] >= minCards)
+      .sort((a, b) => a - b);
+  },
+
+  /**
+   * Get the lowest and highest amount a value could be
+   * @param {Object} value - Structured value
+   * @returns {Object} { low, high } (high is Infinity for "at least" values)
+   */
+  getValueBounds(value) {
+    switch (value.qualifier) {
+      case 'at-least': return { low: value.amount, high: Infinity };
+      case 'range': return { low: value.amount, high: value.maxAmount };
+      default: return { low: value.amount, high: value.amount };
+    }
+  },
+
+  /**
+   * Compare two values
+   * @param {Object} a - Structured value
+   * @param {Object} b - Structured value
+   * @returns {number|null} 1 if a is worth more, -1 if less, 0 if equal,
+   *   null if it can't be told (overlapping ranges or "at least" values)
+   */
+  compareValues(a, b) {
+    const boundsA = this.getValueBounds(a);
+    const boundsB = this.getValueBounds(b);
+
+    if (boundsA.low > boundsB.high) return 1;
+    if (boundsB.low > boundsA.high) return -1;
+    if (boundsA.low === boundsA.high && boundsB.low === boundsB.high) return 0;
+    return null;
+  },
+
+  /**
+   * Check that every pair of cards has a clear value order
+   * @param {Array} cards - Cards to check
+   * @param {Function} getValue - Value to compare for a card (default: current value)
+   * @returns {boolean} True if no two values are equal or overlapping
+   */
+  hasDistinctValues(cards, getValue = card => card.estimatedValue) {
+    return cards.every((card, i) =>
+      cards.slice(i + 1).every(other => {
+        const comparison = this.compareValues(getValue(card), getValue(other));
+        return comparison !== null && comparison !== 0;
+      })
+    );
+  },
+
+  /**
+   * Count the most cards that can be picked with a clear value order between every pair
+   * @param {Array} cards - Cards to pick from
+   * @param {Function} getValue - Value to compare for a card (default: current value)
+   * @returns {number} Largest number of cards with distinct values
+   */
+  countDistinctValues(cards, getValue = card => card.estimatedValue) {
+    // Greedy pick by upper bound - each pick must start above the previous one's upper bound
+    const bounds = cards
+      .map(getValue)
+      .filter(value => value !== null)
+      .map(value => this.getValueBounds(value))
+      .sort((a, b) => a.high - b.high);
+
+    let count = 0;
+    let lastHigh = -Infinity;
+    bounds.forEach(({ low, high }) => {
+      if (low > lastHigh) {
+        count++;
+        lastHigh = high;
+      }
+    });
+    return count;
+  },
+
+  /**
+   * Format a value for display
+   * @param {Object} value - Structured value
+   * @returns {string} Display string like "$13,000,000+" or "$1,000,000–$2,000,000"
+   */
+  formatValue(value) {
+    const format = amount => new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: value.currency,
+      maximumFractionDigits: 0
+    }).format(amount);
+
+    switch (value.qualifier) {
+      case 'at-least': return `${format(value.amount)}+`;
+      case 'range': return `${format(value.amount)}–${format(value.maxAmount)}`;
+      default: return format(value.amount);
+    }
+  },
+
+  /**
+   * Describe where a value comes from
+   * @param {Object} value - Structured value
+   * @returns {string} Text like "As of Jan 15, 2025 • allvintagecards.com" (empty if unknown)
+   */
+  formatValueSource(value) {
+    const parts = [];
+    if (value.asOf) {
+      const date = new Date(`${value.asOf}T00:00:00`);
+      parts.push(isNaN(date) ? `As of ${value.asOf}` : `As of ${date.toLocaleDateString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric'
+      })}`);
+    }
+    if (value.source) {
+      parts.push(value.source);
+    }
+    return parts.join(' • ');
   },
 
   /**
    * Sort cards by value
+   * Values without a clear order ("at least" values, overlapping ranges)
+   * fall back to their lower then upper bounds
    * @param {Array} cards - Cards to sort
    * @param {boolean} descending - Sort order (default: true for high to low)
    * @returns {Array} Sorted cards
    */
   sortByValue(cards, descending = true) {
     return [...cards].sort((a, b) => {
-      const valA = this.parseValue(a.estimatedValue);
-      const valB = this.parseValue(b.estimatedValue);
-      return descending ? valB - valA : valA - valB;
+      let diff = this.compareValues(a.estimatedValue, b.estimatedValue);
+      if (diff === null) {
+        const boundsA = this.getValueBounds(a.estimatedValue);
+        const boundsB = this.getValueBounds(b.estimatedValue);
+        diff = Math.sign(boundsA.low - boundsB.low) || Math.sign(boundsA.high - boundsB.high) || 0;
+      }
+      return descending ? -diff : diff;
     });
   },
 
   /**
    * Get adjacent card values for multiple choice
    * @param {string} cardId - Card to get adjacent values for
-   * @returns {Array} Array of 3 unique value strings (correct + 2 different)
+   * @returns {Array} Array of 3 unique display values (correct + 2 different), low to high
    */
   getAdjacentValues(cardId) {
     const card = this.getCardById(cardId);
@@ -115,55 +440,38 @@ const Cards = {
     const sorted = this.sortByValue(this.allCards, true);
     const cardIndex = sorted.findIndex(c => c.id === cardId);
 
-    // Build pool of candidates from +/- 3 positions (excluding the card itself)
+    // Build pool of candidates from +/- 3 positions whose value is clearly
+    // higher or lower than the card's (excluding the card itself)
     const candidatePool = [];
-    const uniqueValues = new Set([card.estimatedValue]);
+    const uniqueValues = new Set([this.formatValue(card.estimatedValue)]);
+    const addCandidate = candidate => {
+      const displayValue = this.formatValue(candidate.estimatedValue);
+      const comparison = this.compareValues(candidate.estimatedValue, card.estimatedValue);
+      if (!uniqueValues.has(displayValue) && comparison !== null && comparison !== 0) {
+        candidatePool.push(candidate);
+        uniqueValues.add(displayValue);
+      }
+    };
 
     for (let offset = 1; offset <= 3; offset++) {
       // Cards below (higher index = lower value)
       if (cardIndex + offset < sorted.length) {
-        const lowerCard = sorted[cardIndex + offset];
-        if (!uniqueValues.has(lowerCard.estimatedValue)) {
-          candidatePool.push(lowerCard);
-          uniqueValues.add(lowerCard.estimatedValue);
-        }
+        addCandidate(sorted[cardIndex + offset]);
       }
 
       // Cards above (lower index = higher value)
       if (cardIndex - offset >= 0) {
-        const higherCard = sorted[cardIndex - offset];
-        if (!uniqueValues.has(higherCard.estimatedValue)) {
-          candidatePool.push(higherCard);
-          uniqueValues.add(higherCard.estimatedValue);
-        }
+        addCandidate(sorted[cardIndex - offset]);
       }
     }
 
     // Randomly select 2 cards from the pool
-    const shuffled = [...candidatePool].sort(() => Math.random() - 0.5);
+    const shuffled = Random.shuffle(candidatePool);
     const selectedCards = shuffled.slice(0, 2);
 
-    // Combine with correct answer
-    const options = [
-      card.estimatedValue,
-      ...selectedCards.map(c => c.estimatedValue)
-    ];
-
-    // Sort options in ascending order (low to high)
-    return options.sort((a, b) => {
-      const valA = this.parseValue(a);
-      const valB = this.parseValue(b);
-      return valA - valB;
-    });
-  },
-
-  /**
-   * Format card name for display
-   * @param {Object} card - Card object
-   * @returns {string} Formatted HTML with 3 lines: player name, set, grade
-   */
-  formatCardName(card) {
-    return `<div class="card-name-line player">${card.playerName}</div><div class="card-name-line set">${card.year} ${card.cardSet}</div><div class="card-name-line grade">${card.grade}</div>`;
+    // Combine with correct answer and sort options in ascending order (low to high)
+    return this.sortByValue([card, ...selectedCards], false)
+      .map(c => this.formatValue(c.estimatedValue));
   },
 
   /**
@@ -0,0 +1,263 @@
+/**
+ * Card Catalog Editor
+ * Edits a deck's card list with per-field validation and builds a ready-to-commit JSON file
+ */
+const CatalogEditor = {
+  // Form fields in display order (value fields are split out of estimatedValue)
+  fields: [
+    'id', 'playerName', 'year', 'cardSet', 'cardNumber', 'grade',
+    'estimatedValue', 'valueAsOf', 'valueSource', 'imageFile', 'team', 'position', 'description'
+  ],
+
+  state: {
+    deckId: null,        // Deck being edited
+    fileName: 'cards.json',
+    cards: [],           // Card records as they'll be written
+    metadata: {},        // The file's metadata (totalCards and lastUpdated are refreshed on download)
+    selectedIndex: null, // Card shown in the form
+    isDirty: false       // Changed since loading
+  },
+
+  /**
+   * Load the active deck's card list for editing
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const deck = await Decks.getActive();
+    let data;
+    if (deck.custom) {
+      const stored = await CustomDecks.get(deck.id);
+      data = { cards: stored?.cards ?? [] };
+    } else {
+      data = await Cards.fetchCardData(deck.cards);
+    }
+
+    this.state.deckId = deck.id;
+    this.state.fileName = deck.custom ? `${deck.id}.json` : deck.cards.split('/').pop();
+    this.state.cards = Array.isArray(data.cards) ? data.cards.map(card => ({ ...card })) : [];
+    this.state.metadata = { ...data.metadata };
+    this.state.selectedIndex = this.state.cards.length > 0 ? 0 : null;
+    this.state.isDirty = false;
+  },
+
+  /**
+   * Get the card shown in the form
+   * @returns {Object|null} Card record or null
+   */
+  getSelected() {
+    return this.state.cards[this.state.selectedIndex] ?? null;
+  },
+
+  /**
+   * Turn a card record into form values
+   * @param {Object} card - Card record
+   * @returns {Object} Strings by field name
+   */
+  toFields(card) {
+    const value = Cards.normalizeValue(card.estimatedValue);
+    const text = field => card[field] === undefined || card[field] === null ? '' : String(card[field]);
+
+    return {
+      ...Object.fromEntries(this.fields.map(field => [field, text(field)])),
+      // Unreadable values are shown as they are so they can be fixed
+      estimatedValue: value ? Cards.formatValue(value) : text('estimatedValue'),
+      valueAsOf: value?.asOf ?? '',
+      valueSource: value?.source ?? ''
+    };
+  },
+
+  /**
+   * Turn form values back into a card record
+   * @param {Object} fields - Strings by field name
+   * @param {Object} original - Record being edited (keeps fields the form doesn't show, like priceHistory)
+   * @returns {Object} Card record (unreadable values are kept as typed so validation reports them)
+   */
+  fromFields(fields, original = {}) {
+    const card = { ...original };
+    ['id', 'playerName', 'cardSet', 'grade', 'imageFile', 'team', 'position', 'description'].forEach(field => {
+      card[field] = fields[field].trim();
+    });
+
+    const year = fields.year.trim();
+    card.year = /^\d+$/.test(year) ? Number(year) : year;
+    card.cardNumber = fields.cardNumber.trim() || null;
+
+    // The form shows values rounded and in display form, so an untouched value keeps its
+    // exact amount and currency instead of being read back from the text
+    const valueText = fields.estimatedValue.trim();
+    const originalValue = Cards.normalizeValue(original.estimatedValue);
+    let value;
+    if (originalValue && valueText === Cards.formatValue(originalValue)) {
+      value = typeof original.estimatedValue === 'object' ? { ...original.estimatedValue } : originalValue;
+    } else {
+      value = Cards.parseValue(valueText);
+    }
+
+    if (value) {
+      delete value.asOf;
+      delete value.source;
+      if (fields.valueAsOf.trim()) value.asOf = fields.valueAsOf.trim();
+      if (fields.valueSource.trim()) value.source = fields.valueSource.trim();
+      card.estimatedValue = value;
+    } else {
+      card.estimatedValue = valueText;
+    }
+
+    return card;
+  },
+
+  // Form-friendly wording for schema errors, by field
+  fieldMessages: {
+    estimatedValue: 'Use a value like $8,000,000, $13,000,000+ or $1,000,000-$2,000,000',
+    imageFile: 'Must be a .jpg, .png, .gif, .svg or .webp file'
+  },
+
+  /**
+   * Check a card's fields with the same rules the deck loader uses (CardSchema)
+   * @param {number} index - Card position
+   * @returns {Object} Error message by field name (empty if valid). Problems in fields the form
+   *   doesn't show (priceHistory, playerId) are listed under 'record'
+   */
+  getFieldErrors(index) {
+    const card = this.state.cards[index];
+    const errors = {};
+    const add = (field, message) => {
+      errors[field] = errors[field] ? `${errors[field]}; ${message}` : message;
+    };
+
+    CardSchema.getCardErrors(card).forEach(({ field, message }) => {
+      if (!this.fields.includes(field)) {
+        add('record', message);
+      } else if (CardSchema.requiredStrings.includes(field) && message === `Missing ${field}`) {
+        add(field, 'Required');
+      } else {
+        add(field, this.fieldMessages[field] ?? message);
+      }
+    });
+
+    if (!errors.id && this.state.cards.some((other, i) => i !== index && other.id === card.id)) {
+      errors.id = `Another card already uses "${card.id}"`;
+    }
+
+    const { asOf } = Cards.normalizeValue(card.estimatedValue) ?? {};
+    if (asOf && !CardSchema.datePattern.test(asOf)) {
+      errors.valueAsOf = 'Use a date like 2025-01-15';
+    }
+
+    return errors;
+  },
+
+  /**
+   * Check that a card's image file exists
+   * @param {Object} card - Card record
+   * @returns {Promise<string|null>} Error message, or null if the image was found
+   */
+  async checkImage(card) {
+    if (typeof card.imageFile !== 'string' || !CardSchema.imagePattern.test(card.imageFile)) return null;
+    const exists = await CardSchema.imageExists(Cards.getImagePath(card));
+    return exists ? null : `"${card.imageFile}" was not found in ${Cards.imagePath}`;
+  },
+
+  /**
+   * Get a card ready for preview rendering
+   * @param {Object} card - Card record
+   * @returns {Object|null} Card with a structured value, or null if the value can't be read yet
+   */
+  getPreviewCard(card) {
+    const estimatedValue = Cards.normalizeValue(card.estimatedValue);
+    if (!estimatedValue) return null;
+    return { ...card, estimatedValue, priceHistory: Cards.normalizePriceHistory(card.priceHistory) };
+  },
+
+  /**
+   * Replace the selected card with edited form values
+   * @param {Object} fields - Strings by field name
+   */
+  updateSelected(fields) {
+    const index = this.state.selectedIndex;
+    if (index === null) return;
+    this.state.cards[index] = this.fromFields(fields, this.state.cards[index]);
+    this.state.isDirty = true;
+  },
+
+  /**
+   * Add a blank card after the selected one and select it
+   */
+  add() {
+    const index = this.state.selectedIndex === null ? this.state.cards.length : this.state.selectedIndex + 1;
+    this.state.cards.splice(index, 0, {
+      id: '',
+      playerName: '',
+      year: '',
+      cardSet: '',
+      cardNumber: null,
+      grade: '',
+      estimatedValue: '',
+      imageFile: '',
+      description: '',
+      team: '',
+      position: ''
+    });
+    this.state.selectedIndex = index;
+    this.state.isDirty = true;
+  },
+
+  /**
+   * Move a card up or down the list
+   * @param {number} index - Card position
+   * @param {number} offset - -1 for up, 1 for down
+   */
+  move(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.state.cards.length) return;
+
+    const [card] = this.state.cards.splice(index, 1);
+    this.state.cards.splice(target, 0, card);
+    if (this.state.selectedIndex === index) {
+      this.state.selectedIndex = target;
+    } else if (this.state.selectedIndex === target) {
+      this.state.selectedIndex = index;
+    }
+    this.state.isDirty = true;
+  },
+
+  /**
+   * Delete a card
+   * @param {number} index - Card position
+   */
+  remove(index) {
+    this.state.cards.splice(index, 1);
+    if (this.state.cards.length === 0) {
+      this.state.selectedIndex = null;
+    } else if (this.state.selectedIndex >= index) {
+      this.state.selectedIndex = Math.max(0, this.state.selectedIndex - 1);
+    }
+    this.state.isDirty = true;
+  },
+
+  /**
+   * Get every invalid card
+   * @returns {Array} { index, id, fields } for cards with field errors
+   */
+  getInvalidCards() {
+    return this.state.cards
+      .map((card, index) => ({ index, id: card.id, fields: this.getFieldErrors(index) }))
+      .filter(result => Object.keys(result.fields).length > 0);
+  },
+
+  /**
+   * Build the card data file
+   * @returns {string} JSON in the data/cards.json format with refreshed metadata
+   */
+  buildFile() {
+    const data = {
+      cards: this.state.cards,
+      metadata: {
+        ...this.state.metadata,
+        totalCards: this.state.cards.length,
+        lastUpdated: new Date().toISOString().slice(0, 10)
+      }
+    };
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+};
@@ -0,0 +1,142 @@
+/**
+ * Card Collection Album
+ * Cards are collected by matching, valuing or identifying them in the games
+ */
+const Collection = {
+  storageKey: 'baseballCardGame_collection',
+
+  /**
+   * Get the storage key for the active deck's album
+   * Each deck has its own album, so an imported deck that reuses card IDs can't mark another deck's cards
+   * (the default deck keeps the original key so existing albums carry over)
+   * @returns {string} localStorage key
+   */
+  getStorageKey() {
+    const deckId = Decks.getActiveId();
+    return deckId === Decks.defaultDeckId ? this.storageKey : `${this.storageKey}_${deckId}`;
+  },
+
+  /**
+   * Get all collected cards in the active deck's album
+   * The object has no prototype, so `id in` checks only see collected cards -
+   * imported IDs like "toString" or "constructor" aren't owned by default
+   * @returns {Object} Entries by card ID ({ collectedAt, game })
+   */
+  getAll() {
+    const cards = Object.create(null);
+    try {
+      const stored = localStorage.getItem(this.getStorageKey());
+      const data = stored ? JSON.parse(stored) : {};
+      if (data.cards && typeof data.cards === 'object') Object.assign(cards, data.cards);
+    } catch {
+      // Unreadable - start an empty album
+    }
+    return cards;
+  },
+
+  /**
+   * Write all collected cards to the active deck's album
+   * @param {Object} cards - Entries by card ID
+   */
+  saveAll(cards) {
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify({ cards }));
+    } catch {
+      // Storage full or unavailable - collection just won't persist
+    }
+  },
+
+  /**
+   * Check if a card has been collected
+   * @param {string} cardId - Card ID
+   * @returns {boolean} True if in the album
+   */
+  has(cardId) {
+    return cardId in this.getAll();
+  },
+
+  /**
+   * Add cards to the album
+   * @param {Array} cardIds - Card IDs
+   * @param {string} gameType - Game the cards were collected in
+   * @returns {Array} IDs that were new to the album
+   */
+  collect(cardIds, gameType) {
+    const cards = this.getAll();
+    const added = cardIds.filter(id => !(id in cards));
+    if (added.length === 0) return added;
+
+    const collectedAt = new Date().toISOString();
+    added.forEach(id => {
+      cards[id] = { collectedAt, game: gameType };
+    });
+    this.saveAll(cards);
+    return added;
+  },
+
+  /**
+   * Get the era a card belongs to
+   * @param {Object} card - Card object
+   * @returns {string} Era name (or "Other" outside the named eras)
+   */
+  getEraName(card) {
+    const era = Filters.eras.find(e => card.year >= e.yearMin && card.year <= e.yearMax);
+    return era ? era.name : 'Other';
+  },
+
+  /**
+   * Sort cards into album order: sets by their first year, then by card number
+   * @param {Array} cards - Cards to sort
+   * @returns {Array} Sets in order, each { name, cards }
+   */
+  getAlbumPages(cards) {
+    const sets = new Map();
+    cards.forEach(card => {
+      if (!sets.has(card.cardSet)) sets.set(card.cardSet, []);
+      sets.get(card.cardSet).push(card);
+    });
+
+    const cardNumber = card => parseInt(String(card.cardNumber ?? '').replace(/\D/g, ''), 10) || 0;
+    return [...sets.entries()]
+      .map(([name, setCards]) => ({
+        name,
+        cards: setCards.sort((a, b) => a.year - b.year || cardNumber(a) - cardNumber(b))
+      }))
+      .sort((a, b) => a.cards[0].year - b.cards[0].year || a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Get completion for groups of cards
+   * @param {Array} cards - Cards in the deck
+   * @param {Function} getGroup - Group name for a card
+   * @returns {Array} Groups in first-seen order, each { name, owned, total, percent }
+   */
+  getProgress(cards, getGroup) {
+    const owned = this.getAll();
+    const groups = new Map();
+    cards.forEach(card => {
+      const name = getGroup(card);
+      if (!groups.has(name)) groups.set(name, { name, owned: 0, total: 0 });
+      const group = groups.get(name);
+      group.total++;
+      if (card.id in owned) group.owned++;
+    });
+
+    return [...groups.values()].map(group => ({
+      ...group,
+      percent: Math.round(group.owned / group.total * 100)
+    }));
+  },
+
+  /**
+   * Build an export file of the active deck's album
+   * @returns {string} JSON with the deck ID and collected cards
+   */
+  export() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      deck: Decks.getActiveId(),
+      cards: this.getAll()
+    }, null, 2);
+  }
+};
@@ -0,0 +1,273 @@
+/**
+ * Custom Deck Storage
+ * Imports card lists (JSON or CSV) with their image files and keeps them in IndexedDB
+ */
+const CustomDecks = {
+  dbName: 'baseballCardGame',
+  dbVersion: 2,
+  storeName: 'customDecks',
+  infoStoreName: 'customDeckInfo', // Names and descriptions only, so listing decks doesn't read their images
+  idPrefix: 'custom-',
+  db: null,   // Open database (opened on first use)
+
+  // CSV columns that hold numbers rather than text
+  numberColumns: ['year'],
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+        if (event.oldVersion < 2) {
+          const infoStore = db.createObjectStore(this.infoStoreName, { keyPath: 'id' });
+
+          // Decks imported before the info store existed get their entry from the full record
+          request.transaction.objectStore(this.storeName).openCursor().onsuccess = cursorEvent => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            infoStore.put(this.getInfo(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Run a request against the deck stores
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with an object store for each name, returns an IDBRequest
+   * @param {Array} storeNames - Stores the transaction covers (default: the full deck store)
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, makeRequest, storeNames = [this.storeName]) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = makeRequest(...storeNames.map(name => transaction.objectStore(name)));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Get the names and descriptions of every imported deck (cards and images stay in storage)
+   * @returns {Promise<Array>} Deck info ({ id, name, description, cardCount, importedAt })
+   */
+  async getAllInfo() {
+    try {
+      return await this.run('readonly', store => store.getAll(), [this.infoStoreName]);
+    } catch (error) {
+      console.error('Failed to read imported decks:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the listing info for a stored deck
+   * @param {Object} deck - Stored deck
+   * @returns {Object} { id, name, description, cardCount, importedAt }
+   */
+  getInfo(deck) {
+    return {
+      id: deck.id,
+      name: deck.name,
+      description: deck.description,
+      cardCount: deck.cards.length,
+      importedAt: deck.importedAt
+    };
+  },
+
+  /**
+   * Get an imported deck with its cards and images
+   * @param {string} id - Deck ID
+   * @returns {Promise<Object|null>} Stored deck ({ id, name, description, cards, images, importedAt }) or null
+   */
+  async get(id) {
+    return (await this.run('readonly', store => store.get(id))) || null;
+  },
+
+  /**
+   * Store an imported deck
+   * @param {Object} deck - Deck to store
+   * @returns {Promise<void>}
+   */
+  async save(deck) {
+    await this.run('readwrite', (deckStore, infoStore) => {
+      infoStore.put(this.getInfo(deck));
+      return deckStore.put(deck);
+    }, [this.storeName, this.infoStoreName]);
+  },
+
+  /**
+   * Delete an imported deck
+   * @param {string} id - Deck ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.run('readwrite', (deckStore, infoStore) => {
+      infoStore.delete(id);
+      return deckStore.delete(id);
+    }, [this.storeName, this.infoStoreName]);
+  },
+
+  /**
+   * Check if a deck ID belongs to an imported deck
+   * @param {string} id - Deck ID
+   * @returns {boolean} True for imported decks
+   */
+  isCustom(id) {
+    return typeof id === 'string' && id.startsWith(this.idPrefix);
+  },
+
+  /**
+   * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+   * @param {string} text - CSV text
+   * @returns {Array} Rows, each an array of cell strings
+   */
+  splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  },
+
+  /**
+   * Read card records from CSV with a header row of card field names
+   * @param {string} text - CSV text
+   * @returns {Object} { cards } like a card data file
+   */
+  parseCsv(text) {
+    const [header = [], ...rows] = this.splitCsv(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(name => name.trim());
+
+    const cards = rows.map(cells => {
+      const card = {};
+      columns.forEach((column, index) => {
+        const value = (cells[index] ?? '').trim();
+        if (column === '' || value === '') return;
+        card[column] = this.numberColumns.includes(column) && /^\d+$/.test(value) ? Number(value) : value;
+      });
+      return card;
+    });
+
+    return { cards };
+  },
+
+  /**
+   * Read a card list file
+   * @param {string} fileName - File name (.json or .csv)
+   * @param {string} text - File contents
+   * @returns {Object} { cards } like a card data file
+   */
+  parseCardFile(fileName, text) {
+    if (/\.csv$/i.test(fileName)) {
+      return this.parseCsv(text);
+    }
+
+    const data = JSON.parse(text);
+    // A bare array of cards is accepted as well as { cards: [...] }
+    return Array.isArray(data) ? { cards: data } : data;
+  },
+
+  /**
+   * Validate an import and store its valid cards as a new deck
+   * @param {Object} options - { name, description, cardFile, imageFiles }
+   * @returns {Promise<Object>} { deck, errors } where deck is null if no card was valid
+   */
+  async import({ name, description = '', cardFile, imageFiles = [] }) {
+    let data;
+    try {
+      data = this.parseCardFile(cardFile.name, await cardFile.text());
+    } catch (error) {
+      return {
+        deck: null,
+        errors: [{ index: null, id: null, messages: [`Could not read "${cardFile.name}": ${error.message}`] }]
+      };
+    }
+
+    const images = {};
+    imageFiles.forEach(file => {
+      images[file.name] = file;
+    });
+
+    const { validCards, errors } = await CardSchema.validate(data, { imageFiles: new Set(Object.keys(images)) });
+    if (validCards.length === 0) {
+      return { deck: null, errors };
+    }
+
+    // Keep only the images the cards use
+    const usedImages = {};
+    validCards.forEach(card => {
+      usedImages[card.imageFile] = images[card.imageFile];
+    });
+
+    const deck = {
+      id: `${this.idPrefix}${Date.now().toString(36)}`,
+      name: name.trim() || cardFile.name.replace(/\.[^.]+$/, ''),
+      description: description.trim() || `Imported deck • ${validCards.length} card${validCards.length !== 1 ? 's' : ''}`,
+      cards: validCards,
+      images: usedImages,
+      importedAt: new Date().toISOString()
+    };
+    await this.save(deck);
+    return { deck, errors };
+  }
+};
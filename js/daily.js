@@ -0,0 +1,184 @@
+/**
+ * Daily Challenge Manager
+ * Date-seeded games shared by every player, with separate scores and streaks
+ */
+const Daily = {
+  storageKey: 'baseballCardGame_daily',
+
+  // Fixed settings so every player gets the same games
+  matchingCardCount: 10,
+  valuationModes: ['3-card', '2-card', '1-card'],
+
+  /**
+   * Get the date key for a calendar date
+   * @param {Date} date - Date (default: today)
+   * @returns {string} Date key like "2025-01-15"
+   */
+  getDateKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  },
+
+  /**
+   * Get number of days between two date keys
+   * @param {string} fromKey - Earlier date key
+   * @param {string} toKey - Later date key
+   * @returns {number} Whole days between the dates
+   */
+  daysBetween(fromKey, toKey) {
+    const toUTC = key => {
+      const [year, month, day] = key.split('-').map(Number);
+      return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toKey) - toUTC(fromKey)) / 86400000);
+  },
+
+  /**
+   * Get random seed for a daily game
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {string} dateKey - Date key (default: today)
+   * @returns {string} Seed shared by every player of the active deck on that date
+   */
+  getSeed(gameType, dateKey = this.getDateKey()) {
+    const deckId = Decks.getActiveId();
+    return deckId === Decks.defaultDeckId
+      ? `daily:${dateKey}:${gameType}`
+      : `daily:${dateKey}:${deckId}:${gameType}`;
+  },
+
+  /**
+   * Get the key a day's results are stored under
+   * Each deck has its own daily games, so results are kept per deck like getSeed and HighScores.getStorageKey
+   * @param {string} dateKey - Date key (default: today)
+   * @param {string} deckId - Deck ID (default: the active deck)
+   * @returns {string} Result key like "2025-01-15" (default deck) or "2025-01-15:my-deck"
+   */
+  getResultKey(dateKey = this.getDateKey(), deckId = Decks.getActiveId()) {
+    return deckId === Decks.defaultDeckId ? dateKey : `${dateKey}:${deckId}`;
+  },
+
+  /**
+   * Get valuation mode for a date (rotates through the modes day by day)
+   * @param {string} dateKey - Date key (default: today)
+   * @returns {string} Valuation mode
+   */
+  getValuationMode(dateKey = this.getDateKey()) {
+    const dayNumber = this.daysBetween('2025-01-01', dateKey);
+    const count = this.valuationModes.length;
+    return this.valuationModes[((dayNumber % count) + count) % count];
+  },
+
+  /**
+   * Get all daily records
+   * @returns {Object} Results by result key (see getResultKey) and streak info
+   */
+  getAll() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const data = stored ? JSON.parse(stored) : {};
+      return {
+        results: data.results || {},
+        streak: data.streak || { current: 0, best: 0, lastDate: null }
+      };
+    } catch {
+      return { results: {}, streak: { current: 0, best: 0, lastDate: null } };
+    }
+  },
+
+  /**
+   * Write daily records
+   * @param {Object} data - Results and streak
+   */
+  saveAll(data) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(data));
+    } catch {
+      // Storage full or unavailable - daily results just won't persist
+    }
+  },
+
+  /**
+   * Get today's result for a game
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {Object|null} Result ({ score }) or null if not played
+   */
+  getResult(gameType) {
+    const data = this.getAll();
+    return data.results[this.getResultKey()]?.[gameType] || null;
+  },
+
+  /**
+   * Check if today's challenge has been played (or started) for a game
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {boolean} True if already played today
+   */
+  hasPlayed(gameType) {
+    return this.getResult(gameType) !== null;
+  },
+
+  /**
+   * Check if today's challenge for a game was started and saved mid-game in the active deck
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {boolean} True if it can be resumed
+   */
+  canResume(gameType) {
+    const context = SavedGames.get(gameType)?.context;
+    if (!context?.dailyDate) return false;
+
+    // Saves from before decks existed were played on the default deck
+    const savedKey = this.getResultKey(context.dailyDate, context.deckId ?? Decks.defaultDeckId);
+    return savedKey === this.getResultKey();
+  },
+
+  /**
+   * Mark today's challenge as started so it can't be replayed for a better board
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  markStarted(gameType) {
+    const data = this.getAll();
+    const resultKey = this.getResultKey();
+    if (!data.results[resultKey]) data.results[resultKey] = {};
+    data.results[resultKey][gameType] = { score: null };
+    this.saveAll(data);
+  },
+
+  /**
+   * Save today's score for a game and extend the streak
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {number} score - Final score
+   */
+  saveResult(gameType, score) {
+    const data = this.getAll();
+    const resultKey = this.getResultKey();
+    if (!data.results[resultKey]) data.results[resultKey] = {};
+    data.results[resultKey][gameType] = { score };
+
+    // Streak counts consecutive days with at least one completed challenge, in any deck
+    const dateKey = this.getDateKey();
+    const { streak } = data;
+    if (streak.lastDate !== dateKey) {
+      const isConsecutive = streak.lastDate && this.daysBetween(streak.lastDate, dateKey) === 1;
+      streak.current = isConsecutive ? streak.current + 1 : 1;
+      streak.best = Math.max(streak.best, streak.current);
+      streak.lastDate = dateKey;
+    }
+
+    this.saveAll(data);
+  },
+
+  /**
+   * Get streak info (current streak is 0 once a day has been missed)
+   * @returns {Object} Current and best streak
+   */
+  getStreak() {
+    const { streak } = this.getAll();
+    const today = this.getDateKey();
+    const isActive = streak.lastDate && this.daysBetween(streak.lastDate, today) <= 1;
+    return {
+      current: isActive ? streak.current : 0,
+      best: streak.best
+    };
+  }
+};
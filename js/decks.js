@@ -0,0 +1,143 @@
+/**
+ * Deck Manager
+ * Loads the deck manifest and remembers which deck of cards is active
+ */
+const Decks = {
+  manifestPath: 'data/decks.json',
+  storageKey: 'baseballCardGame_deck',
+  defaultDeckId: 'most-valuable-30',
+  testDecksParam: 'testDecks', // ?testDecks in the URL lists decks marked testOnly
+
+  // Used when the manifest can't be loaded, so the original cards still work
+  fallbackDeck: {
+    id: 'most-valuable-30',
+    name: 'Most Valuable 30',
+    description: 'The 30 most valuable baseball cards of all time',
+    cards: 'data/cards.json',
+    images: 'images/cards/'
+  },
+
+  decks: [],
+  isLoaded: false,
+  activeId: null,   // Chosen deck ID (read from localStorage on first use)
+
+  /**
+   * Load the deck manifest and any imported decks
+   * @returns {Promise<Array>} Available decks
+   */
+  async load() {
+    if (this.isLoaded) {
+      return this.decks;
+    }
+
+    try {
+      const response = await fetch(this.manifestPath);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const showTestDecks = new URLSearchParams(window.location.search).has(this.testDecksParam);
+      this.decks = (data.decks || []).filter(deck => this.isValid(deck) && (!deck.testOnly || showTestDecks));
+    } catch (error) {
+      console.error('Failed to load deck manifest:', error);
+      this.decks = [];
+    }
+
+    if (this.decks.length === 0) {
+      this.decks = [this.fallbackDeck];
+    }
+
+    // Imported decks come after the built-in ones; only their names are read here,
+    // the cards and images are read from IndexedDB when the deck is opened
+    const imported = await CustomDecks.getAllInfo();
+    imported.forEach(deck => {
+      this.decks.push({ id: deck.id, name: deck.name, description: deck.description, custom: true });
+    });
+
+    this.isLoaded = true;
+    return this.decks;
+  },
+
+  /**
+   * Load the manifest again (after a deck is imported or deleted)
+   * @returns {Promise<Array>} Available decks
+   */
+  async reload() {
+    this.isLoaded = false;
+    return this.load();
+  },
+
+  /**
+   * Check that a manifest entry has what's needed to load it
+   * @param {Object} deck - Manifest entry
+   * @returns {boolean} True if usable (cardIds, when given, must be a list of IDs)
+   */
+  isValid(deck) {
+    const hasFields = ['id', 'name', 'cards'].every(field => typeof deck?.[field] === 'string' && deck[field] !== '');
+    const hasCardIds = deck?.cardIds === undefined ||
+      (Array.isArray(deck.cardIds) && deck.cardIds.every(id => typeof id === 'string'));
+    return hasFields && hasCardIds;
+  },
+
+  /**
+   * Get all decks from the manifest
+   * @returns {Array} Decks
+   */
+  getAll() {
+    return this.decks;
+  },
+
+  /**
+   * Get a deck by ID
+   * @param {string} id - Deck ID
+   * @returns {Object|null} Deck or null
+   */
+  get(id) {
+    return this.decks.find(deck => deck.id === id) || null;
+  },
+
+  /**
+   * Get the active deck's ID
+   * @returns {string} Chosen deck if it's in the manifest, otherwise the default deck
+   */
+  getActiveId() {
+    if (this.activeId === null) {
+      try {
+        this.activeId = localStorage.getItem(this.storageKey) || '';
+      } catch {
+        this.activeId = '';
+      }
+    }
+
+    if (this.get(this.activeId)) {
+      return this.activeId;
+    }
+    return this.get(this.defaultDeckId) ? this.defaultDeckId : (this.decks[0]?.id ?? this.defaultDeckId);
+  },
+
+  /**
+   * Get the active deck
+   * @returns {Promise<Object>} Deck
+   */
+  async getActive() {
+    await this.load();
+    return this.get(this.getActiveId());
+  },
+
+  /**
+   * Choose the active deck
+   * @param {string} id - Deck ID
+   * @returns {boolean} True if the deck exists
+   */
+  setActive(id) {
+    if (!this.get(id)) return false;
+
+    this.activeId = id;
+    try {
+      localStorage.setItem(this.storageKey, id);
+    } catch {
+      // Storage unavailable - choice lasts until reload
+    }
+    return true;
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * DOM Builder
+ * Builds elements with text nodes and properties so card data is never parsed as HTML
+ */
+const Dom = {
+  /**
+   * Create an element
+   * @param {string} tag - Tag name
+   * @param {Object} props - { className, text, dataset, attrs } plus any element properties (src, alt, ...)
+   * @param {Array} children - Nodes or strings (strings become text nodes)
+   * @returns {HTMLElement} New element
+   */
+  create(tag, props = {}, children = []) {
+    const { className, text, dataset, attrs, ...properties } = props;
+    const element = document.createElement(tag);
+
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = String(text);
+    Object.entries(dataset || {}).forEach(([key, value]) => {
+      element.dataset[key] = value;
+    });
+    Object.entries(attrs || {}).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    Object.assign(element, properties);
+
+    this.append(element, children);
+    return element;
+  },
+
+  /**
+   * Append children to an element
+   * @param {HTMLElement} parent - Element to append to
+   * @param {Array} children - Nodes or strings (null and false are skipped)
+   */
+  append(parent, children) {
+    children.forEach(child => {
+      if (child === null || child === undefined || child === false) return;
+      parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+  },
+
+  /**
+   * Replace an element's contents
+   * @param {HTMLElement} element - Element to fill
+   * @param {Array} children - Nodes or strings
+   */
+  setContent(element, children) {
+    element.textContent = '';
+    this.append(element, children);
+  },
+
+  /**
+   * Find an element by a data attribute value
+   * @param {string} name - Attribute name without "data-" (e.g. 'tile-id')
+   * @param {string} value - Value to match (escaped, so IDs from any deck are safe)
+   * @returns {HTMLElement|null} First matching element
+   */
+  findByData(name, value) {
+    return document.querySelector(`[data-${name}="${CSS.escape(value)}"]`);
+  }
+};
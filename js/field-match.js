@@ -0,0 +1,161 @@
+/**
+ * Card Set and Team Matching
+ * Scores typed card sets and teams: full credit for the answer in any usual spelling, partial credit for a near miss
+ */
+const FieldMatch = {
+  // Nicknames fans use for teams, by the team nickname they stand for
+  teamAliases: {
+    yankees: ['yanks', 'bronx bombers'],
+    'red sox': ['bosox'],
+    'white sox': ['chisox', 'pale hose'],
+    athletics: ['as', 'mackmen'],
+    pirates: ['bucs', 'buccos'],
+    dodgers: ['bums'],
+    indians: ['tribe'],
+    cubs: ['cubbies'],
+    reds: ['redlegs'],
+    senators: ['nats'],
+    giants: ['jints']
+  },
+
+  // Short city names, by the city they stand for
+  cityAliases: {
+    'new york': ['ny'],
+    philadelphia: ['philly'],
+    'los angeles': ['la'],
+    'san francisco': ['sf']
+  },
+
+  // Two-word nicknames, which aren't split ("Sox" alone is half of two teams' names)
+  compoundNicknames: ['red sox', 'white sox', 'red stockings', 'white stockings', 'blue jays'],
+
+  // A city alone earns partial credit once it's this long ("New York" does, "New" doesn't)
+  minCityLength: 4,
+
+  // Words that don't tell sets apart (an error card or variation counts as its set)
+  setIgnoredWords: ['error', 'variation', 'variant', 'set', 'cards', 'baseball'],
+
+  // Catalog designations like T206, E90 or M101-4 (the letters are the kind of issue: T for tobacco, E for candy...)
+  setCodePattern: /^[a-z]{1,2}-?\d+(-\d+)?$/i,
+
+  /**
+   * Split card set text into the words that identify it
+   * Drops parenthesized notes, years and ignored words ("1933 Goudey" is "Goudey", "T206 (Ty Cobb Back)" is "T206")
+   * @param {string} text - Card set as typed or stored
+   * @returns {Array} Words as written
+   */
+  getSetWords(text) {
+    return String(text)
+      .replace(/\(.*?\)/g, ' ')
+      .split(/\s+/)
+      .filter(word => {
+        const normalized = NameMatch.normalize(word);
+        return normalized !== '' && !/^\d{4}$/.test(normalized) && !this.setIgnoredWords.includes(normalized);
+      });
+  },
+
+  /**
+   * Join words with spacing and punctuation removed ("T-206" and "t 206" are both "t206")
+   * @param {Array} words - Words
+   * @returns {string} Compact lowercase text
+   */
+  compact(words) {
+    return NameMatch.normalize(words.join(' ')).replace(/ /g, '');
+  },
+
+  /**
+   * Split a card set into its catalog code and brand
+   * @param {string} cardSet - Card set (like "D304 General Baking", "T206" or "Topps")
+   * @returns {Object} { code, brand } where code is compact ("d304") and brand is text ("General Baking"), either may be empty
+   */
+  parseCardSet(cardSet) {
+    const words = this.getSetWords(cardSet);
+    const codeWord = words.find(word => this.setCodePattern.test(word));
+    return {
+      code: codeWord ? this.compact([codeWord]) : '',
+      brand: words.filter(word => word !== codeWord).join(' ')
+    };
+  },
+
+  /**
+   * Score a typed card set
+   * The code or the brand alone is enough ("T-206", "D304" or "General Baking"). Brands allow typos
+   * ("Goudy"), codes don't: the right kind of issue with the wrong number (T205 for T206) is a near miss
+   * @param {string} input - Typed card set
+   * @param {string} cardSet - Card's set
+   * @returns {string} 'full', 'partial' or 'none'
+   */
+  matchCardSet(input, cardSet) {
+    const typed = this.compact(this.getSetWords(input));
+    if (typed === '') return 'none';
+
+    const answer = this.parseCardSet(cardSet);
+    if (typed === this.compact(this.getSetWords(cardSet)) || typed === answer.code) return 'full';
+
+    const guess = this.parseCardSet(input);
+    const codeRight = guess.code !== '' && guess.code === answer.code;
+    const brandRight = guess.brand !== '' && answer.brand !== '' && NameMatch.matchFull(guess.brand, answer.brand);
+    const codeWrong = guess.code !== '' && !codeRight;
+    const brandWrong = guess.brand !== '' && !brandRight;
+    if ((codeRight || brandRight) && !codeWrong && !brandWrong) return 'full';
+    if (codeRight || brandRight) return 'partial';
+
+    const issueType = code => code.match(/^[a-z]+/)?.[0] ?? '';
+    return guess.code !== '' && answer.code !== '' && issueType(guess.code) === issueType(answer.code) ? 'partial' : 'none';
+  },
+
+  /**
+   * Get the ways a team can be written, split into city and nickname
+   * Every split is tried ("New York Yankees" gives ("New", "York Yankees") and ("New York", "Yankees")),
+   * except inside a compound nickname ("Boston Red Sox" only gives ("Boston", "Red Sox"))
+   * @param {string} team - Team (like "New York Yankees" or "Baltimore Orioles (Minor League)")
+   * @returns {Array} { cities, nicknames } with each part's aliases
+   */
+  getTeamForms(team) {
+    const words = NameMatch.getWords(String(team).replace(/\(.*?\)/g, ' '));
+    const isCompound = this.compoundNicknames.includes(words.slice(-2).join(' '));
+    const splitCount = isCompound ? words.length - 2 : words.length - 1;
+    return words.slice(0, splitCount).map((_, index) => {
+      const city = words.slice(0, index + 1).join(' ');
+      const nickname = words.slice(index + 1).join(' ');
+      return {
+        cities: [city, ...(this.cityAliases[city] || [])],
+        nicknames: [nickname, ...(this.teamAliases[nickname] || [])]
+      };
+    });
+  },
+
+  /**
+   * Score a typed team
+   * The nickname with or without the city is right ("Yankees", "Yanks", "NY Yankees", "Red Sox"); the city
+   * alone, the nickname with the wrong city ("Boston Braves" for the Milwaukee Braves) or the last word of a
+   * compound nickname ("Sox" for the Red Sox or the White Sox) is a near miss
+   * @param {string} input - Typed team
+   * @param {string} team - Card's team
+   * @returns {string} 'full', 'partial' or 'none'
+   */
+  matchTeam(input, team) {
+    const inputWords = NameMatch.getWords(input);
+    if (inputWords.length === 0) return 'none';
+
+    const forms = this.getTeamForms(team);
+    if (NameMatch.matchFull(input, team.replace(/\(.*?\)/g, ' '))) return 'full';
+    const isFull = forms.some(({ cities, nicknames }) => nicknames.some(nickname =>
+      NameMatch.matchFull(input, nickname) || cities.some(city => NameMatch.matchFull(input, `${city} ${nickname}`))
+    ));
+    if (isFull) return 'full';
+
+    const isPartial = forms.some(({ cities, nicknames }) =>
+      cities.some((city, index) => (index > 0 || city.replace(/ /g, '').length >= this.minCityLength) &&
+        NameMatch.matchFull(input, city)) ||
+      nicknames.some(nickname => {
+        const count = NameMatch.getWords(nickname).length;
+        if (count > 1 && this.compoundNicknames.includes(nickname) && NameMatch.matchFull(input, nickname.split(' ').pop())) {
+          return true;
+        }
+        return inputWords.length > count && NameMatch.matchFull(inputWords.slice(-count).join(' '), nickname);
+      })
+    );
+    return isPartial ? 'partial' : 'none';
+  }
+};
@@ -0,0 +1,208 @@
+/**
+ * Card Filter Engine
+ * Narrows the card pool by era, set, team, position, grading company or value band
+ */
+const Filters = {
+  storageKey: 'baseballCardGame_filters',
+
+  // Quick picks for the year range
+  eras: [
+    { id: 'tobacco', name: 'Tobacco Era', yearMin: 1860, yearMax: 1919 },
+    { id: 'golden', name: 'Golden Age', yearMin: 1920, yearMax: 1945 },
+    { id: 'post-war', name: 'Post-War', yearMin: 1946, yearMax: 1969 }
+  ],
+
+  // Value bands compare against a card's lowest possible value
+  valueBands: [
+    { id: 'under-100k', name: 'Under $100K', min: 0, max: 100000 },
+    { id: '100k-1m', name: '$100K – $1M', min: 100000, max: 1000000 },
+    { id: '1m-5m', name: '$1M – $5M', min: 1000000, max: 5000000 },
+    { id: 'over-5m', name: '$5M+', min: 5000000, max: Infinity }
+  ],
+
+  /**
+   * Get an empty filter (matches every card)
+   * @returns {Object} Filter criteria
+   */
+  createEmpty() {
+    return {
+      yearMin: null,
+      yearMax: null,
+      cardSets: [],
+      teams: [],
+      positions: [],
+      graders: [],
+      valueBand: null
+    };
+  },
+
+  /**
+   * Clean up filter criteria from storage or a shared link
+   * @param {Object} criteria - Possibly partial or malformed criteria
+   * @returns {Object} Complete criteria
+   */
+  normalize(criteria) {
+    const empty = this.createEmpty();
+    if (!criteria || typeof criteria !== 'object') return empty;
+
+    const toYear = value => Number.isInteger(value) ? value : null;
+    const toList = value => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+
+    return {
+      yearMin: toYear(criteria.yearMin),
+      yearMax: toYear(criteria.yearMax),
+      cardSets: toList(criteria.cardSets),
+      teams: toList(criteria.teams),
+      positions: toList(criteria.positions),
+      graders: toList(criteria.graders),
+      valueBand: this.valueBands.some(band => band.id === criteria.valueBand) ? criteria.valueBand : empty.valueBand
+    };
+  },
+
+  /**
+   * Check if criteria narrow the pool at all
+   * @param {Object|null} criteria - Filter criteria
+   * @returns {boolean} True if any field is set
+   */
+  isActive(criteria) {
+    if (!criteria) return false;
+    return criteria.yearMin !== null || criteria.yearMax !== null ||
+      criteria.cardSets.length > 0 || criteria.teams.length > 0 ||
+      criteria.positions.length > 0 || criteria.graders.length > 0 ||
+      criteria.valueBand !== null;
+  },
+
+  /**
+   * Get the grading company from a card's grade
+   * @param {Object} card - Card object
+   * @returns {string} Company like "PSA" or "SGC"
+   */
+  getGrader(card) {
+    return card.grade.trim().split(/\s+/)[0].toUpperCase();
+  },
+
+  /**
+   * Check if a card passes a filter
+   * @param {Object} card - Card object
+   * @param {Object} criteria - Filter criteria
+   * @returns {boolean} True if the card matches every set field
+   */
+  matches(card, criteria) {
+    if (criteria.yearMin !== null && card.year < criteria.yearMin) return false;
+    if (criteria.yearMax !== null && card.year > criteria.yearMax) return false;
+    if (criteria.cardSets.length > 0 && !criteria.cardSets.includes(card.cardSet)) return false;
+    if (criteria.teams.length > 0 && !criteria.teams.includes(card.team)) return false;
+    if (criteria.positions.length > 0 && !criteria.positions.includes(card.position)) return false;
+    if (criteria.graders.length > 0 && !criteria.graders.includes(this.getGrader(card))) return false;
+
+    if (criteria.valueBand !== null) {
+      const band = this.valueBands.find(b => b.id === criteria.valueBand);
+      const { low } = Cards.getValueBounds(card.estimatedValue);
+      if (low < band.min || low >= band.max) return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Filter a list of cards
+   * @param {Array} cards - Cards to filter
+   * @param {Object|null} criteria - Filter criteria (null for no filter)
+   * @returns {Array} Matching cards
+   */
+  apply(cards, criteria) {
+    if (!this.isActive(criteria)) return cards;
+    return cards.filter(card => this.matches(card, criteria));
+  },
+
+  /**
+   * Get the choices available for each field in a set of cards
+   * @param {Array} cards - Cards to collect from
+   * @returns {Object} Sorted cardSets, teams, positions and graders
+   */
+  getOptions(cards) {
+    const collect = getValue => [...new Set(cards.map(getValue))].sort((a, b) => a.localeCompare(b));
+    return {
+      cardSets: collect(card => card.cardSet),
+      teams: collect(card => card.team),
+      positions: collect(card => card.position),
+      graders: collect(card => this.getGrader(card))
+    };
+  },
+
+  /**
+   * Describe a filter for labels
+   * @param {Object|null} criteria - Filter criteria
+   * @returns {string} Label like "1920–1945 • Goudey • PSA" (empty if no filter)
+   */
+  getLabel(criteria) {
+    if (!this.isActive(criteria)) return '';
+
+    const parts = [];
+    const { yearMin, yearMax } = criteria;
+    if (yearMin !== null && yearMax !== null) {
+      parts.push(yearMin === yearMax ? `${yearMin}` : `${yearMin}–${yearMax}`);
+    } else if (yearMin !== null) {
+      parts.push(`${yearMin} and later`);
+    } else if (yearMax !== null) {
+      parts.push(`${yearMax} and earlier`);
+    }
+
+    const describeList = list => list.length <= 2 ? list.join(', ') : `${list.length} choices`;
+    if (criteria.cardSets.length > 0) parts.push(`Sets: ${describeList(criteria.cardSets)}`);
+    if (criteria.teams.length > 0) parts.push(`Teams: ${describeList(criteria.teams)}`);
+    if (criteria.positions.length > 0) parts.push(describeList(criteria.positions));
+    if (criteria.graders.length > 0) parts.push(criteria.graders.join('/'));
+    if (criteria.valueBand !== null) {
+      parts.push(this.valueBands.find(band => band.id === criteria.valueBand).name);
+    }
+
+    return parts.join(' • ');
+  },
+
+  /**
+   * Get a short key identifying a filter (for keeping its high scores apart)
+   * @param {Object|null} criteria - Filter criteria
+   * @returns {string|null} Key, or null for no filter
+   */
+  getKey(criteria) {
+    if (!this.isActive(criteria)) return null;
+
+    const sorted = list => [...list].sort();
+    const canonical = JSON.stringify([
+      criteria.yearMin, criteria.yearMax, sorted(criteria.cardSets), sorted(criteria.teams),
+      sorted(criteria.positions), sorted(criteria.graders), criteria.valueBand
+    ]);
+    return Random.hashString(canonical).toString(36);
+  },
+
+  /**
+   * Get the player's chosen filter
+   * @returns {Object|null} Filter criteria, or null if none is set
+   */
+  getActive() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const criteria = this.normalize(stored ? JSON.parse(stored) : null);
+      return this.isActive(criteria) ? criteria : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Save the player's chosen filter
+   * @param {Object|null} criteria - Filter criteria (null to clear)
+   */
+  setActive(criteria) {
+    try {
+      if (this.isActive(criteria)) {
+        localStorage.setItem(this.storageKey, JSON.stringify(criteria));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch {
+      // Storage unavailable - filter just won't be remembered
+    }
+  }
+};
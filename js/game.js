@@ -10,35 +10,113 @@ const Game = {
     turns: 0,            // Turn counter (score)
     isLocked: false,     // Prevent clicks during animation
     cardCount: 0,        // Number of unique cards in game
+    seed: null,          // Random seed that produced this board
+    filter: null,        // Filter criteria the cards were drawn with (null for all cards)
     isPlaying: false     // Game is active
   },
 
   /**
    * Initialize a new game
    * @param {number} cardCount - Number of unique cards to play with
+   * @param {number|string} seed - Random seed (optional, new seed if omitted)
+   * @param {Object|null} filter - Filter criteria for the card pool (optional)
    */
-  async init(cardCount) {
+  async init(cardCount, seed, filter = null) {
     // Load cards if not already loaded
     await Cards.load();
 
+    // Seed the random source so the board can be reproduced
+    this.state.seed = Random.seed(seed);
+
     // Reset state
     this.state.flippedCards = [];
     this.state.matchedPairs = [];
     this.state.turns = 0;
     this.state.isLocked = false;
     this.state.cardCount = cardCount;
+    this.state.filter = filter;
     this.state.isPlaying = true;
 
     // Select and prepare cards
-    const selectedCards = Cards.selectRandom(cardCount);
+    const selectedCards = Cards.selectRandom(cardCount, filter);
     this.state.cards = Cards.prepareGameDeck(selectedCards);
 
     // Preload images
     Cards.preloadImages(selectedCards);
 
+    this.persist();
+    return this.state.cards;
+  },
+
+  /**
+   * Restore a saved game
+   * @param {Object} snapshot - Snapshot from serialize()
+   * @returns {Array|null} Game cards, or null if the saved cards no longer exist
+   */
+  async restore(snapshot) {
+    await Cards.load();
+
+    const cards = snapshot.tiles.map(tile => {
+      const card = Cards.getCardById(tile.id);
+      return card ? { ...card, tileId: tile.tileId } : null;
+    });
+    if (cards.includes(null)) return null;
+
+    this.state.cards = cards;
+    this.state.flippedCards = cards.filter(c => snapshot.flippedTileIds.includes(c.tileId));
+    this.state.matchedPairs = [...snapshot.matchedPairs];
+    this.state.turns = snapshot.turns;
+    this.state.isLocked = false;
+    this.state.cardCount = snapshot.cardCount;
+    this.state.seed = snapshot.seed;
+    this.state.filter = snapshot.filter ?? null;
+    this.state.isPlaying = true;
+    Random.setState(snapshot.random);
+
+    Cards.preloadImages(cards);
+
     return this.state.cards;
   },
 
+  /**
+   * Get a storable snapshot of the game
+   * @returns {Object} Snapshot with card IDs instead of card objects
+   */
+  serialize() {
+    return {
+      tiles: this.state.cards.map(c => ({ id: c.id, tileId: c.tileId })),
+      // A mismatched pair is about to flip back, so don't restore it face up
+      flippedTileIds: this.state.isLocked ? [] : this.state.flippedCards.map(c => c.tileId),
+      matchedPairs: [...this.state.matchedPairs],
+      turns: this.state.turns,
+      cardCount: this.state.cardCount,
+      seed: this.state.seed,
+      filter: this.state.filter,
+      random: Random.getState()
+    };
+  },
+
+  /**
+   * Check if a card pool is big enough for a board
+   * @param {number} cardCount - Number of unique cards
+   * @param {Array} pool - Cards the board would draw from
+   * @returns {boolean} True if there are enough cards
+   */
+  canPlay(cardCount, pool) {
+    return pool.length >= cardCount;
+  },
+
+  /**
+   * Save game for resuming (cleared once the game is won)
+   */
+  persist() {
+    if (this.isVictory()) {
+      SavedGames.clear('matching');
+    } else {
+      SavedGames.save('matching', this.serialize());
+    }
+  },
+
   /**
    * Handle card flip
    * @param {string} tileId - Unique tile identifier
@@ -69,6 +147,7 @@ const Game = {
 
     // First card of the turn
     if (this.state.flippedCards.length === 1) {
+      this.persist();
       return { action: 'flipped', card };
     }
 
@@ -96,17 +175,20 @@ const Game = {
   handleMatch(firstCard, secondCard) {
     // Add to matched pairs
     this.state.matchedPairs.push(firstCard.id);
+    const collected = Collection.collect([firstCard.id], 'matching');
 
     // Clear flipped cards
     this.state.flippedCards = [];
 
     // Check for victory
     const isVictory = this.isVictory();
+    this.persist();
 
     return {
       action: 'match',
       cards: [firstCard, secondCard],
       turns: this.state.turns,
+      collected,
       isVictory
     };
   },
@@ -120,6 +202,7 @@ const Game = {
   handleMismatch(firstCard, secondCard) {
     // Lock the board
     this.state.isLocked = true;
+    this.persist();
 
     return {
       action: 'mismatch',
@@ -165,6 +248,8 @@ const Game = {
     this.state.matchedPairs = [];
     this.state.turns = 0;
     this.state.isLocked = false;
+    this.state.seed = null;
+    this.state.filter = null;
     this.state.isPlaying = false;
   }
 };
@@ -175,13 +260,28 @@ const Game = {
 const HighScores = {
   storageKey: 'baseballCardGame_highScores',
 
+  /**
+   * Get the storage key for the active deck's scores
+   * (the default deck keeps the original key so existing scores carry over)
+   * @param {string|null} filterKey - Key from Filters.getKey for filtered runs (optional)
+   * @returns {string} localStorage key
+   */
+  getStorageKey(filterKey = null) {
+    const deckId = Decks.getActiveId();
+    const key = deckId === Decks.defaultDeckId ? this.storageKey : `${this.storageKey}_${deckId}`;
+
+    // Filtered runs are kept apart from standard high scores
+    return filterKey ? `${key}_filter_${filterKey}` : key;
+  },
+
   /**
    * Get all high scores
+   * @param {string|null} filterKey - Key from Filters.getKey for filtered runs (optional)
    * @returns {Object} High scores by game type and difficulty
    */
-  getAll() {
+  getAll(filterKey = null) {
     try {
-      const stored = localStorage.getItem(this.storageKey);
+      const stored = localStorage.getItem(this.getStorageKey(filterKey));
       const scores = stored ? JSON.parse(stored) : {};
 
       // Migrate old format if needed
@@ -221,36 +321,39 @@ const HighScores = {
 
   /**
    * Get high score for specific game and difficulty
-   * @param {string} gameType - 'matching', 'valuation', or 'guess' (or cardCount for backwards compat)
+   * @param {string} gameType - 'matching', 'valuation', 'guess', 'guessSurvival' (best survival total) or
+   *   'guessStreak' (best survival streak) (or cardCount for backwards compat)
    * @param {string|number} difficulty - Difficulty level or mode
+   * @param {string|null} filterKey - Key from Filters.getKey for filtered runs (optional)
    * @returns {number|null} High score or null
    */
-  get(gameType, difficulty) {
+  get(gameType, difficulty, filterKey = null) {
     // Backwards compatibility: get(cardCount)
     if (typeof gameType === 'number' || !isNaN(gameType)) {
       const scores = this.getAll();
       return scores.matching?.[gameType] || null;
     }
 
-    // Guess game: single score value
+    // Guess game: the standard mode keeps the original single score, other modes have a table by mode key
     if (gameType === 'guess') {
-      const scores = this.getAll();
-      return scores.guess || null;
+      const scores = this.getAll(filterKey);
+      return (difficulty ? scores.guessModes?.[difficulty] : scores.guess) || null;
     }
 
     // New format: get('matching', 10) or get('valuation', '3-card')
-    const scores = this.getAll();
+    const scores = this.getAll(filterKey);
     return scores[gameType]?.[difficulty] || null;
   },
 
   /**
    * Save new high score if better than existing
-   * @param {string} gameType - 'matching', 'valuation', or 'guess' (or cardCount for backwards compat)
+   * @param {string} gameType - 'matching', 'valuation', 'guess', 'guessSurvival' or 'guessStreak' (or cardCount for backwards compat)
    * @param {string|number} difficulty - Difficulty level or mode (or turns for backwards compat)
    * @param {number} score - Score to save (optional for backwards compat)
+   * @param {string|null} filterKey - Key from Filters.getKey for filtered runs (optional)
    * @returns {boolean} True if new record
    */
-  save(gameType, difficulty, score) {
+  save(gameType, difficulty, score, filterKey = null) {
     // Backwards compatibility: save(cardCount, turns)
     if (typeof gameType === 'number' || !isNaN(gameType)) {
       const cardCount = gameType;
@@ -263,7 +366,7 @@ const HighScores = {
         if (!scores.matching) scores.matching = {};
         scores.matching[cardCount] = turns;
         try {
-          localStorage.setItem(this.storageKey, JSON.stringify(scores));
+          localStorage.setItem(this.getStorageKey(), JSON.stringify(scores));
           return true;
         } catch {
           return false;
@@ -272,16 +375,20 @@ const HighScores = {
       return false;
     }
 
-    // Guess game: single score value, higher is better
+    // Guess game: single score value per mode, higher is better
     if (gameType === 'guess') {
-      const scores = this.getAll();
-      const currentBest = scores.guess;
+      const scores = this.getAll(filterKey);
+      const currentBest = difficulty ? scores.guessModes?.[difficulty] : scores.guess;
 
-      // Higher is better for guess (0-15)
+      // Higher is better for guess (0-30)
       if (!currentBest || score > currentBest) {
-        scores.guess = score;
+        if (difficulty) {
+          scores.guessModes = { ...scores.guessModes, [difficulty]: score };
+        } else {
+          scores.guess = score;
+        }
         try {
-          localStorage.setItem(this.storageKey, JSON.stringify(scores));
+          localStorage.setItem(this.getStorageKey(filterKey), JSON.stringify(scores));
           return true;
         } catch {
           return false;
@@ -291,7 +398,7 @@ const HighScores = {
     }
 
     // New format: save('matching', 10, 15) or save('valuation', '3-card', 4)
-    const scores = this.getAll();
+    const scores = this.getAll(filterKey);
     if (!scores[gameType]) scores[gameType] = {};
 
     const currentBest = scores[gameType][difficulty];
@@ -301,14 +408,14 @@ const HighScores = {
       // Lower is better for matching
       isNewRecord = !currentBest || score < currentBest;
     } else {
-      // Higher is better for valuation
+      // Higher is better for valuation and survival
       isNewRecord = !currentBest || score > currentBest;
     }
 
     if (isNewRecord) {
       scores[gameType][difficulty] = score;
       try {
-        localStorage.setItem(this.storageKey, JSON.stringify(scores));
+        localStorage.setItem(this.getStorageKey(filterKey), JSON.stringify(scores));
         return true;
       } catch {
         return false;
@@ -1,32 +1,125 @@
 /**
  * Guess the Card Game Module
- * Player identifies pixelated baseball cards by entering player name and year
+ * Player identifies obscured baseball cards by entering player name and year
  */
 const Guess = {
+  settingsKey: 'baseballCardGame_guessSettings',
+  defaultSettings: {
+    hardMode: false, // No name suggestions
+    style: 'blur',   // Reveal style (key of revealStyles)
+    attempts: 3,     // Attempts per card
+    junior: false,   // Multiple choice instead of typing
+    fields: [],      // Extra fields to name (IDs from extraFields)
+    lives: null      // Survival lives (null for the 5-round game)
+  },
+
+  // Junior mode offers this many names and years (the answer plus distractors)
+  choiceCount: 4,
+
+  attemptOptions: [1, 2, 3, 4, 5],
+
+  // Survival: cards keep coming until the player has missed `lives` of them (a card is missed when
+  // its round ends without the player's name). Every rampEvery cards named in a row, the next cards
+  // get one attempt fewer (down to minAttempts) and stop clearing up revealHoldStep sooner (up to maxRevealHold)
+  survival: {
+    lifeOptions: [1, 3, 5],
+    rampEvery: 3,
+    minAttempts: 1,
+    revealHoldStep: 0.2,
+    maxRevealHold: 0.6
+  },
+
+  // Most cards held back when the pool starts over, so the last cards seen don't come straight back
+  recentCardLimit: 10,
+
+  // Reveal styles: the level runs from `from` on the first attempt to `to` on the last, in equal
+  // ratios (geometric) or equal steps (linear), and the card is shown clear once the round is over
+  revealStyles: {
+    blur: { name: 'Blur', from: 20, to: 5, steps: 'geometric' },              // Blur radius (px)
+    pixelate: { name: 'Pixelate', from: 6, to: 30, steps: 'geometric' },      // Pixels across the card
+    mosaic: { name: 'Mosaic', from: 0.2, to: 0.7, steps: 'linear', columns: 5, rows: 7 }, // Share of tiles uncovered
+    zoom: { name: 'Zoomed Crop', from: 4, to: 1.5, steps: 'geometric' },      // Magnification
+    silhouette: { name: 'Silhouette', from: 12, to: 2, steps: 'geometric' },  // Grayscale contrast
+    'name-bar': { name: 'Name Bar Hidden', from: 0.3, to: 0.15, steps: 'linear' } // Share of the card covered from the bottom
+  },
+
+  // Year scoring: an exact year earns the attempt's full points, a near miss a share of them and a
+  // guess in the right decade at least decadePoints (a miss always earns less than the exact year)
+  yearScoring: {
+    nearMisses: [
+      { within: 1, share: 2 / 3 },
+      { within: 2, share: 1 / 3 }
+    ],
+    decadePoints: 1
+  },
+
+  // Extra fields that can be scored besides the name and year, each worth as much as the name.
+  // `tag` marks the field in mode keys. Junior games stick to the name and year
+  extraFields: [
+    { id: 'cardSet', name: 'Card Set', tag: 'set' },
+    { id: 'team', name: 'Team', tag: 'team' }
+  ],
+
+  // A near miss on an extra field (see FieldMatch) earns this share of the attempt's points
+  fieldScoring: {
+    partialShare: 1 / 2
+  },
+
+  // Hints trade points for clues: each one takes `cost` percent off every point the round can still
+  // earn (name and year alike) without using an attempt. `helps` says which answer it's for
+  hints: [
+    { id: 'decade', name: 'Decade', cost: 30, helps: 'year' },
+    { id: 'cardSet', name: 'Card Set', cost: 30, helps: 'year' },
+    { id: 'team', name: 'Team', cost: 20, helps: 'name' },
+    { id: 'position', name: 'Position', cost: 10, helps: 'name' },
+    { id: 'initial', name: 'Surname Initial', cost: 40, helps: 'name' }
+  ],
+
   state: {
-    currentRound: 0,           // 0-4 (5 rounds)
-    totalPoints: 0,            // Running score (0-30 max)
+    currentRound: 0,           // 0-4 (5 rounds), or cards played so far in survival
+    totalPoints: 0,            // Running score (0-30 max, more with extra fields)
     usedCardIds: [],          // Prevent card repeats
     currentCard: null,         // Card being guessed
-    attemptsRemaining: 3,     // 3, 2, 1
+    mode: null,               // { style, attempts, junior, fields, lives } for this game
+    choices: null,            // Junior mode: { names, years, wrongNames, wrongYears } this round
+    roundAttempts: 3,         // Attempts for this card (mode.attempts, fewer as a survival streak grows)
+    revealHold: 0,            // Share of the reveal held back this card (0, more as a survival streak grows)
+    attemptsRemaining: 3,     // Counts down from roundAttempts
+    livesRemaining: null,     // Survival: misses left (null in 5-round games)
+    streak: 0,                // Survival: cards named in a row
+    bestStreak: 0,            // Survival: longest streak this game
     nameCorrect: false,       // Name answered correctly
     yearCorrect: false,       // Year answered correctly
     namePointsEarned: 0,      // Points for name this round
-    yearPointsEarned: 0,      // Points for year this round
+    yearPointsEarned: 0,      // Points for year this round (best year guess so far)
+    yearGuesses: [],          // This round's year guesses ({ year, offBy })
+    fieldScores: {},          // Extra fields this round ({ correct, pointsEarned } by field ID)
+    hintsUsed: [],            // IDs of the hints bought this round
     roundHistory: [],         // Each round's result
+    seed: null,               // Random seed that produced this game
+    filter: null,             // Filter criteria for the card pool (null for all cards)
     isPlaying: false,
     awaitingNextRound: false  // Lock during transitions
   },
 
   /**
-   * Initialize a new guess game (5 rounds)
+   * Initialize a new guess game (5 rounds, or until out of lives in survival)
+   * @param {number|string} seed - Random seed (optional, new seed if omitted)
+   * @param {Object|null} filter - Filter criteria for the card pool (optional)
+   * @param {Object} mode - { style, attempts, junior, fields, lives } (optional, default mode if omitted)
    */
-  async init() {
+  async init(seed, filter = null, mode = this.getDefaultMode()) {
     await Cards.load();
 
+    this.state.seed = Random.seed(seed);
+    this.state.filter = filter;
+    this.state.mode = mode;
     this.state.currentRound = 0;
     this.state.totalPoints = 0;
     this.state.usedCardIds = [];
+    this.state.livesRemaining = mode.lives;
+    this.state.streak = 0;
+    this.state.bestStreak = 0;
     this.state.roundHistory = [];
     this.state.isPlaying = true;
     this.state.awaitingNextRound = false;
@@ -40,45 +133,187 @@ const Guess = {
    */
   setupRound() {
     // Get available cards (not yet used)
-    let available = Cards.allCards.filter(
+    const pool = Cards.getPool(this.state.filter);
+    let available = pool.filter(
       c => !this.state.usedCardIds.includes(c.id)
     );
 
-    // If we've used too many cards, reset the pool
+    // Once every card has been used, start the pool over without the last few cards seen
     if (available.length === 0) {
-      this.state.usedCardIds = [];
-      available = [...Cards.allCards];
+      const recentCount = Math.min(this.recentCardLimit, Math.floor(pool.length / 2));
+      this.state.usedCardIds = recentCount > 0 ? this.state.usedCardIds.slice(-recentCount) : [];
+      available = pool.filter(c => !this.state.usedCardIds.includes(c.id));
     }
 
     // Select random card
-    const randomIndex = Math.floor(Math.random() * available.length);
-    this.state.currentCard = available[randomIndex];
+    this.state.currentCard = Random.pick(available);
     this.state.usedCardIds.push(this.state.currentCard.id);
+    this.state.choices = this.state.mode.junior ? this.createChoices(this.state.currentCard) : null;
 
     // Reset attempts and correctness for new round
-    this.state.attemptsRemaining = 3;
+    const difficulty = this.getDifficulty(this.state.streak);
+    this.state.roundAttempts = difficulty.attempts;
+    this.state.revealHold = difficulty.revealHold;
+    this.state.attemptsRemaining = difficulty.attempts;
     this.state.nameCorrect = false;
     this.state.yearCorrect = false;
     this.state.namePointsEarned = 0;
     this.state.yearPointsEarned = 0;
+    this.state.yearGuesses = [];
+    this.state.fieldScores = Object.fromEntries(
+      this.state.mode.fields.map(id => [id, { correct: false, pointsEarned: 0 }])
+    );
+    this.state.hintsUsed = [];
     this.state.awaitingNextRound = false;
 
+    this.persist();
+    return this.getRoundData();
+  },
+
+  /**
+   * Get data for rendering the current round
+   * @returns {Object} Round data with card and blur amount
+   */
+  getRoundData() {
     return {
       card: this.state.currentCard,
       round: this.state.currentRound + 1,
-      totalRounds: 5,
-      blurAmount: this.getBlurAmount(),
-      attemptsRemaining: this.state.attemptsRemaining
+      totalRounds: this.state.mode.lives === null ? 5 : null,
+      reveal: this.getReveal(),
+      attemptsRemaining: this.state.attemptsRemaining,
+      attempts: this.state.roundAttempts,
+      choices: this.state.choices,
+      livesRemaining: this.state.livesRemaining,
+      streak: this.state.streak
+    };
+  },
+
+  /**
+   * Restore a saved game
+   * @param {Object} snapshot - Snapshot from serialize()
+   * @returns {Object|null} Round data, or null if the saved cards no longer exist
+   */
+  async restore(snapshot) {
+    await Cards.load();
+
+    const currentCard = Cards.getCardById(snapshot.currentCardId);
+    const roundHistory = snapshot.roundHistory.map(entry => {
+      const card = Cards.getCardById(entry.cardId);
+      if (!card) return null;
+      const { cardId, ...rest } = entry;
+      return { ...rest, card };
+    });
+    if (!currentCard || roundHistory.includes(null)) return null;
+
+    this.state.currentRound = snapshot.currentRound;
+    this.state.totalPoints = snapshot.totalPoints;
+    this.state.usedCardIds = [...snapshot.usedCardIds];
+    this.state.currentCard = currentCard;
+    // Games saved before reveal styles were blur games
+    this.state.mode = this.parseModeKey(snapshot.mode ?? null) || this.getDefaultMode();
+    this.state.choices = snapshot.choices ?? null;
+    this.state.roundAttempts = snapshot.roundAttempts ?? this.state.mode.attempts;
+    this.state.revealHold = snapshot.revealHold ?? 0;
+    this.state.attemptsRemaining = snapshot.attemptsRemaining;
+    this.state.livesRemaining = snapshot.livesRemaining ?? this.state.mode.lives;
+    this.state.streak = snapshot.streak ?? 0;
+    this.state.bestStreak = snapshot.bestStreak ?? 0;
+    this.state.nameCorrect = snapshot.nameCorrect;
+    this.state.yearCorrect = snapshot.yearCorrect;
+    this.state.namePointsEarned = snapshot.namePointsEarned;
+    this.state.yearPointsEarned = snapshot.yearPointsEarned;
+    this.state.yearGuesses = snapshot.yearGuesses ?? [];
+    this.state.fieldScores = snapshot.fieldScores ?? {};
+    this.state.hintsUsed = snapshot.hintsUsed ?? [];
+    this.state.roundHistory = roundHistory;
+    this.state.seed = snapshot.seed;
+    this.state.filter = snapshot.filter ?? null;
+    this.state.isPlaying = true;
+    this.state.awaitingNextRound = false;
+    Random.setState(snapshot.random);
+
+    // Saved during a card reveal - continue with the next round
+    if (snapshot.awaitingNextRound) {
+      return this.setupRound();
+    }
+
+    return this.getRoundData();
+  },
+
+  /**
+   * Get a storable snapshot of the game
+   * @returns {Object} Snapshot with card IDs instead of card objects
+   */
+  serialize() {
+    return {
+      currentRound: this.state.currentRound,
+      totalPoints: this.state.totalPoints,
+      usedCardIds: [...this.state.usedCardIds],
+      currentCardId: this.state.currentCard.id,
+      mode: this.getModeKey(this.state.mode),
+      choices: this.state.choices,
+      roundAttempts: this.state.roundAttempts,
+      revealHold: this.state.revealHold,
+      attemptsRemaining: this.state.attemptsRemaining,
+      livesRemaining: this.state.livesRemaining,
+      streak: this.state.streak,
+      bestStreak: this.state.bestStreak,
+      nameCorrect: this.state.nameCorrect,
+      yearCorrect: this.state.yearCorrect,
+      namePointsEarned: this.state.namePointsEarned,
+      yearPointsEarned: this.state.yearPointsEarned,
+      yearGuesses: [...this.state.yearGuesses],
+      fieldScores: this.state.fieldScores,
+      hintsUsed: [...this.state.hintsUsed],
+      roundHistory: this.state.roundHistory.map(({ card, ...rest }) => ({
+        ...rest,
+        cardId: card.id
+      })),
+      awaitingNextRound: this.state.awaitingNextRound,
+      seed: this.state.seed,
+      filter: this.state.filter,
+      random: Random.getState()
     };
   },
 
+  /**
+   * Check if a card pool has a different card for every round
+   * @param {Array} pool - Cards the rounds would draw from
+   * @returns {boolean} True if there are at least 5 cards
+   */
+  canPlay(pool) {
+    return pool.length >= 5;
+  },
+
+  /**
+   * Check if the game is over
+   * @returns {boolean} True after the 5th round, or in survival once out of lives
+   */
+  isGameOver() {
+    return this.state.mode.lives === null
+      ? this.state.currentRound >= 5
+      : this.state.livesRemaining <= 0;
+  },
+
+  /**
+   * Save game for resuming (cleared once the game is over)
+   */
+  persist() {
+    if (this.isGameOver()) {
+      SavedGames.clear('guess');
+    } else {
+      SavedGames.save('guess', this.serialize());
+    }
+  },
+
   /**
    * Submit a guess for the current card
    * @param {string} playerName - Guessed player name
    * @param {string|number} year - Guessed year
+   * @param {Object} fieldAnswers - Guesses for the mode's extra fields, by field ID (optional)
    * @returns {Object} Result with partial correctness, attemptsRemaining, points, etc.
    */
-  submitGuess(playerName, year) {
+  submitGuess(playerName, year, fieldAnswers = {}) {
     if (this.state.awaitingNextRound || !this.state.currentCard) {
       return { action: 'ignored' };
     }
@@ -87,159 +322,625 @@ const Guess = {
     const normalizedInput = playerName.trim().toLowerCase();
     const inputYear = parseInt(year, 10);
 
+    // Calculate attempts used (1 up to roundAttempts)
+    const attemptsUsed = this.state.roundAttempts + 1 - this.state.attemptsRemaining;
+
     // Check matches (only if not already correct)
     const nameMatch = !this.state.nameCorrect &&
                       this.fuzzyMatch(normalizedInput, this.state.currentCard);
-    const yearMatch = !this.state.yearCorrect &&
-                      inputYear === this.state.currentCard.year;
+    const yearScore = this.state.yearCorrect
+      ? null
+      : this.scoreYear(inputYear, this.state.currentCard.year, attemptsUsed);
+    const yearMatch = yearScore?.offBy === 0;
+    if (yearScore) {
+      this.state.yearGuesses.push({ year: inputYear, offBy: yearScore.offBy });
+    }
 
-    // Calculate attempts used (1, 2, or 3)
-    const attemptsUsed = 4 - this.state.attemptsRemaining;
+    // Junior mode: a wrong choice can't be picked again this round
+    if (this.state.choices) {
+      if (!this.state.nameCorrect && !nameMatch) this.state.choices.wrongNames.push(playerName);
+      if (yearScore && !yearMatch) this.state.choices.wrongYears.push(inputYear);
+    }
 
     // Award points for newly correct components
     let namePointsThisAttempt = 0;
     let yearPointsThisAttempt = 0;
+    let collected = [];
 
     if (nameMatch) {
+      collected = Collection.collect([this.state.currentCard.id], 'guess');
       this.state.nameCorrect = true;
       this.state.namePointsEarned = this.calculatePoints(attemptsUsed);
       this.state.totalPoints += this.state.namePointsEarned;
       namePointsThisAttempt = this.state.namePointsEarned;
     }
 
+    // The round keeps its best year guess, so a closer guess adds the difference
+    if (yearScore && yearScore.points > this.state.yearPointsEarned) {
+      yearPointsThisAttempt = yearScore.points - this.state.yearPointsEarned;
+      this.state.yearPointsEarned = yearScore.points;
+      this.state.totalPoints += yearPointsThisAttempt;
+    }
+
     if (yearMatch) {
       this.state.yearCorrect = true;
-      this.state.yearPointsEarned = this.calculatePoints(attemptsUsed);
-      this.state.totalPoints += this.state.yearPointsEarned;
-      yearPointsThisAttempt = this.state.yearPointsEarned;
     }
 
+    // Extra fields keep their best guess too (a near miss can be improved on)
+    const fieldResults = this.state.mode.fields.map(id => {
+      const score = this.state.fieldScores[id];
+      if (score.correct) {
+        return { id, match: null, pointsThisAttempt: 0, correct: true };
+      }
+
+      const match = this.matchField(id, fieldAnswers[id] ?? '', this.state.currentCard);
+      const pointsThisAttempt = Math.max(0, this.scoreField(match, attemptsUsed) - score.pointsEarned);
+      score.pointsEarned += pointsThisAttempt;
+      score.correct = match === 'full';
+      this.state.totalPoints += pointsThisAttempt;
+      return { id, match, pointsThisAttempt, correct: score.correct };
+    });
+    const fieldPointsEarned = Object.values(this.state.fieldScores).reduce((total, score) => total + score.pointsEarned, 0);
+
     // Always reduce attempts after a guess (for consistent blur reduction)
     this.state.attemptsRemaining--;
 
-    // Round is over when both correct OR no attempts left
-    const bothCorrect = this.state.nameCorrect && this.state.yearCorrect;
-    const isRoundOver = bothCorrect || this.state.attemptsRemaining === 0;
+    // Round is over when everything is correct OR no attempts left
+    const allCorrect = this.state.nameCorrect && this.state.yearCorrect &&
+      Object.values(this.state.fieldScores).every(score => score.correct);
+    const isRoundOver = allCorrect || this.state.attemptsRemaining === 0;
+    let isHarder = false;
 
     if (isRoundOver) {
       this.state.awaitingNextRound = true;
 
+      // Survival: a card is missed when the round ends without the player's name
+      if (this.state.mode.lives !== null) {
+        if (this.state.nameCorrect) {
+          const before = this.getDifficulty(this.state.streak);
+          this.state.streak++;
+          this.state.bestStreak = Math.max(this.state.bestStreak, this.state.streak);
+          const after = this.getDifficulty(this.state.streak);
+          isHarder = after.attempts < before.attempts || after.revealHold > before.revealHold;
+        } else {
+          this.state.livesRemaining--;
+          this.state.streak = 0;
+        }
+      }
+
       // Record round history
       this.state.roundHistory.push({
         round: this.state.currentRound + 1,
         card: this.state.currentCard,
         namePointsEarned: this.state.namePointsEarned,
         yearPointsEarned: this.state.yearPointsEarned,
-        totalPointsEarned: this.state.namePointsEarned + this.state.yearPointsEarned,
-        attemptsUsed: bothCorrect ? attemptsUsed : 3,
+        totalPointsEarned: this.state.namePointsEarned + this.state.yearPointsEarned + fieldPointsEarned,
+        attemptsUsed: allCorrect ? attemptsUsed : this.state.roundAttempts,
         nameCorrect: this.state.nameCorrect,
-        yearCorrect: this.state.yearCorrect
+        yearCorrect: this.state.yearCorrect,
+        fieldScores: this.state.fieldScores,
+        yearGuesses: [...this.state.yearGuesses],
+        hintsUsed: [...this.state.hintsUsed]
       });
 
       this.state.currentRound++;
     }
 
-    const isGameOver = this.state.currentRound >= 5;
+    const isGameOver = this.isGameOver();
+    this.persist();
 
     return {
       nameMatch,
       yearMatch,
+      yearOffBy: yearScore?.offBy ?? null,
       nameCorrect: this.state.nameCorrect,
       yearCorrect: this.state.yearCorrect,
       attemptsRemaining: this.state.attemptsRemaining,
       namePointsThisAttempt,
       yearPointsThisAttempt,
+      fieldResults,
       namePointsEarned: this.state.namePointsEarned,
       yearPointsEarned: this.state.yearPointsEarned,
-      roundPointsEarned: this.state.namePointsEarned + this.state.yearPointsEarned,
+      roundPointsEarned: this.state.namePointsEarned + this.state.yearPointsEarned + fieldPointsEarned,
       card: this.state.currentCard,
+      collected,
+      allCorrect,
       isRoundOver,
       isGameOver,
+      livesRemaining: this.state.livesRemaining,
+      streak: this.state.streak,
+      isHarder,
       totalPoints: this.state.totalPoints,
       round: this.state.currentRound,
       correctAnswer: {
         playerName: this.state.currentCard.playerName,
-        year: this.state.currentCard.year
+        year: this.state.currentCard.year,
+        cardSet: this.state.currentCard.cardSet,
+        team: this.state.currentCard.team
       }
     };
   },
 
   /**
    * Fuzzy match player name input against card
-   * Matches full name, last name only, or any variation with matching last name
+   * Matches the card's name with typos allowed, or any of the player's registry names and nicknames in full
    * @param {string} input - Normalized lowercase input
    * @param {Object} card - Card object
    * @returns {boolean} Whether input matches player name
    */
   fuzzyMatch(input, card) {
-    const fullName = card.playerName.toLowerCase();
-    const nameParts = fullName.split(' ');
-    const inputParts = input.split(' ');
+    const names = this.getPlayerNames();
+    if (NameMatch.matchPlayer(input, card.playerName, NameMatch.getGenericWords(names), names)) {
+      return true;
+    }
+    return Players.getAliases(card).some(alias => NameMatch.matchFull(input, alias));
+  },
 
-    // Match full name exactly
-    if (fullName === input) return true;
+  /**
+   * Check a guess for an extra field
+   * @param {string} fieldId - Field ID from extraFields
+   * @param {string} input - Typed guess
+   * @param {Object} card - Card being guessed
+   * @returns {string} 'full', 'partial' or 'none'
+   */
+  matchField(fieldId, input, card) {
+    switch (fieldId) {
+      case 'cardSet':
+        return FieldMatch.matchCardSet(input, card.cardSet);
+      case 'team':
+        return FieldMatch.matchTeam(input, card.team);
+      default:
+        return 'none';
+    }
+  },
 
-    // Get last names for comparison
-    const cardLastName = nameParts[nameParts.length - 1];
-    const inputLastName = inputParts[inputParts.length - 1];
+  /**
+   * Score an extra field guess
+   * @param {string} match - 'full', 'partial' or 'none' from matchField
+   * @param {number} attemptsUsed - Number of attempts (1 up to roundAttempts)
+   * @returns {number} Points (a near miss always earns less than the answer)
+   */
+  scoreField(match, attemptsUsed) {
+    const fullPoints = this.calculatePoints(attemptsUsed);
+    if (match === 'full') return fullPoints;
+    if (match !== 'partial') return 0;
+    return Math.max(0, Math.min(fullPoints - 1, Math.floor(fullPoints * this.fieldScoring.partialShare)));
+  },
 
-    // If input has multiple words and last name matches, accept it
-    // This handles "Ed Plank" matching "Eddie Plank"
-    if (inputParts.length > 1 && cardLastName === inputLastName) {
-      return true;
-    }
+  /**
+   * Get an extra field's settings
+   * @param {string} fieldId - Field ID
+   * @returns {Object|null} { id, name, tag } or null
+   */
+  getField(fieldId) {
+    return this.extraFields.find(field => field.id === fieldId) || null;
+  },
 
-    // Match last name only (single word input)
-    if (inputParts.length === 1 && cardLastName === input) return true;
+  /**
+   * Get one name per known player (registry players and every player in the deck)
+   * @returns {Array} Player names
+   */
+  getPlayerNames() {
+    const names = new Map();
+    Players.players.forEach(player => names.set(player.id, player.name));
+    Cards.allCards.forEach(card => {
+      const key = card.playerId || card.playerName;
+      if (!names.has(key)) names.set(key, card.playerName);
+    });
+    return [...names.values()];
+  },
 
-    // Match first name only (single word input)
-    const firstName = nameParts[0];
-    if (inputParts.length === 1 && firstName === input) return true;
+  /**
+   * Suggest player names for the name input
+   * Suggests from every player in the deck, so the list doesn't give away the answer
+   * @param {string} input - Typed text
+   * @returns {Array} Player names, best first
+   */
+  getNameSuggestions(input) {
+    const names = [...new Set(Cards.allCards.map(card => card.playerName))];
+    return NameMatch.getSuggestions(input, names);
+  },
 
-    // Match any part of the name (single word input)
-    if (inputParts.length === 1 && nameParts.some(part => part === input)) {
-      return true;
+  /**
+   * Get the player's Guess the Card settings
+   * @returns {Object} { hardMode, style, attempts, junior, fields } (hard mode turns off name suggestions)
+   */
+  getSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.settingsKey));
+      return { ...this.defaultSettings, ...stored };
+    } catch {
+      return { ...this.defaultSettings };
     }
+  },
 
-    return false;
+  /**
+   * Save Guess the Card settings
+   * @param {Object} changes - Settings to change
+   */
+  saveSettings(changes) {
+    try {
+      localStorage.setItem(this.settingsKey, JSON.stringify({ ...this.getSettings(), ...changes }));
+    } catch {
+      // Storage unavailable - settings just won't be remembered
+    }
   },
 
   /**
    * Calculate points based on attempts used
-   * @param {number} attemptsUsed - Number of attempts (1, 2, or 3)
-   * @returns {number} Points earned (3, 2, or 1)
+   * The first attempt is worth 3 points and the last 1, however many attempts there are,
+   * less the cost of the round's hints (rounded down)
+   * @param {number} attemptsUsed - Number of attempts (1 up to roundAttempts)
+   * @returns {number} Points earned (3 down to 0)
    */
   calculatePoints(attemptsUsed) {
-    switch (attemptsUsed) {
-      case 1: return 3;
-      case 2: return 2;
-      case 3: return 1;
-      default: return 0;
+    const attempts = this.state.roundAttempts;
+    if (attemptsUsed < 1 || attemptsUsed > attempts) return 0;
+
+    const points = Math.ceil((3 * (attempts - attemptsUsed + 1)) / attempts);
+    return Math.floor((points * (100 - this.getHintCost())) / 100);
+  },
+
+  /**
+   * Get the total cost of the round's hints
+   * @returns {number} Percent taken off the round's points (0-100)
+   */
+  getHintCost() {
+    const cost = this.state.hintsUsed.reduce((total, id) => total + (this.hints.find(hint => hint.id === id)?.cost ?? 0), 0);
+    return Math.min(100, cost);
+  },
+
+  /**
+   * Get a hint's clue for a card
+   * @param {string} hintId - Hint ID
+   * @param {Object} card - Card being guessed
+   * @returns {string} Clue (empty if the card has nothing to tell)
+   */
+  getHintText(hintId, card) {
+    switch (hintId) {
+      case 'decade':
+        return `${Math.floor(card.year / 10) * 10}s`;
+      case 'initial': {
+        const surname = NameMatch.getWords(card.playerName).pop() ?? '';
+        return surname.charAt(0).toUpperCase();
+      }
+      default:
+        return typeof card[hintId] === 'string' ? card[hintId].trim() : '';
+    }
+  },
+
+  /**
+   * Get the hints for the current card
+   * @returns {Array} { id, name, cost, text, isUsed, isAvailable } where text is only set once bought
+   */
+  getHints() {
+    const card = this.state.currentCard;
+    const answered = { name: this.state.nameCorrect, year: this.state.yearCorrect };
+
+    // A field being scored can't be bought as a hint
+    return this.hints
+      .filter(hint => this.getHintText(hint.id, card) !== '' && !this.state.mode.fields.includes(hint.id))
+      .map(hint => {
+        const isUsed = this.state.hintsUsed.includes(hint.id);
+        return {
+          id: hint.id,
+          name: hint.name,
+          cost: hint.cost,
+          text: isUsed ? this.getHintText(hint.id, card) : null,
+          isUsed,
+          // Bought hints stay listed; the rest are offered until their answer is in
+          isAvailable: !isUsed && !answered[hint.helps] && !this.state.awaitingNextRound
+        };
+      });
+  },
+
+  /**
+   * Buy a hint for the current card (doesn't use an attempt)
+   * @param {string} hintId - Hint ID
+   * @returns {Object|null} The hint with its clue, or null if it can't be bought
+   */
+  useHint(hintId) {
+    if (this.state.awaitingNextRound || !this.state.currentCard) {
+      return null;
+    }
+
+    const hint = this.getHints().find(h => h.id === hintId);
+    if (!hint?.isAvailable) {
+      return null;
+    }
+
+    this.state.hintsUsed.push(hintId);
+    this.persist();
+    return this.getHints().find(h => h.id === hintId);
+  },
+
+  /**
+   * Score a year guess
+   * @param {number} guessYear - Guessed year
+   * @param {number} cardYear - Card's year
+   * @param {number} attemptsUsed - Number of attempts (1, 2, or 3)
+   * @returns {Object} { offBy, points } where offBy is negative for too early (null if not a year)
+   */
+  scoreYear(guessYear, cardYear, attemptsUsed) {
+    if (!Number.isInteger(guessYear)) {
+      return { offBy: null, points: 0 };
+    }
+
+    const fullPoints = this.calculatePoints(attemptsUsed);
+    const offBy = guessYear - cardYear;
+    if (offBy === 0) {
+      return { offBy, points: fullPoints };
     }
+
+    const nearMiss = this.yearScoring.nearMisses.find(band => Math.abs(offBy) <= band.within);
+    const nearPoints = nearMiss ? Math.floor(fullPoints * nearMiss.share) : 0;
+    const sameDecade = Math.floor(guessYear / 10) === Math.floor(cardYear / 10);
+    const decadePoints = sameDecade ? this.yearScoring.decadePoints : 0;
+
+    return { offBy, points: Math.max(0, Math.min(fullPoints - 1, Math.max(nearPoints, decadePoints))) };
   },
 
   /**
-   * Get current blur amount based on attempts remaining
-   * @returns {number} Blur amount in pixels
+   * Get how the card is obscured for the current attempt
+   * @returns {Object} { style, level } (level is null once the round is over), plus { columns, rows, uncovered } tiles for mosaic
    */
-  getBlurAmount() {
-    switch (this.state.attemptsRemaining) {
-      case 3: return 20;
-      case 2: return 10;
-      case 1: return 5;
-      default: return 0;
+  getReveal() {
+    const { style } = this.state.mode;
+    const attempts = this.state.roundAttempts;
+    const attemptIndex = attempts - this.state.attemptsRemaining;
+    const level = this.state.attemptsRemaining > 0
+      ? this.getRevealLevel(style, attemptIndex, attempts, this.state.revealHold)
+      : null;
+    const reveal = { style, level };
+
+    if (style === 'mosaic' && level !== null) {
+      const { columns, rows } = this.revealStyles.mosaic;
+      const order = this.getTileOrder(this.state.currentCard, columns * rows);
+      reveal.tiles = { columns, rows, uncovered: order.slice(0, Math.round(level * columns * rows)) };
     }
+    return reveal;
+  },
+
+  /**
+   * Get a reveal style's level for an attempt
+   * @param {string} style - Key of revealStyles
+   * @param {number} attemptIndex - Attempt (0 for the first)
+   * @param {number} attempts - Attempts per card
+   * @param {number} hold - Share of the way to `to` that the last attempt stops short of (0 for none)
+   * @returns {number} Level for the attempt
+   */
+  getRevealLevel(style, attemptIndex, attempts, hold = 0) {
+    const { from, to, steps } = this.revealStyles[style];
+    if (attempts === 1) return from;
+
+    const progress = (attemptIndex / (attempts - 1)) * (1 - hold);
+    return steps === 'geometric'
+      ? from * Math.pow(to / from, progress)
+      : from + (to - from) * progress;
+  },
+
+  /**
+   * Get how hard a card is
+   * @param {number} streak - Cards named in a row (only counts in survival)
+   * @returns {Object} { attempts, revealHold } for the card
+   */
+  getDifficulty(streak) {
+    const { mode } = this.state;
+    if (mode.lives === null) {
+      return { attempts: mode.attempts, revealHold: 0 };
+    }
+
+    const { rampEvery, minAttempts, revealHoldStep, maxRevealHold } = this.survival;
+    const level = Math.floor(streak / rampEvery);
+    return {
+      attempts: Math.max(Math.min(minAttempts, mode.attempts), mode.attempts - level),
+      revealHold: Math.min(maxRevealHold, level * revealHoldStep)
+    };
+  },
+
+  /**
+   * Get the order mosaic tiles are uncovered in for a card
+   * Shuffled by a generator seeded from the card ID rather than the game's random sequence, so every
+   * style draws the same cards and a resumed game uncovers the same tiles
+   * @param {Object} card - Card being guessed
+   * @param {number} count - Number of tiles
+   * @returns {Array} Tile indexes in the order they are uncovered
+   */
+  getTileOrder(card, count) {
+    const indexes = Array.from({ length: count }, (_, index) => index);
+    return Random.shuffle(indexes, Random.createGenerator(Random.hashString(card.id)));
+  },
+
+  /**
+   * Create a Junior round's choices
+   * Distractors come from the catalog: names from the same set, then the same era; years from the
+   * player's other cards, then the same set, then the same era, then nearby years
+   * @param {Object} card - Card being guessed
+   * @returns {Object} { names, years, wrongNames, wrongYears } with the answers included (names shuffled, years in order)
+   */
+  createChoices(card) {
+    const isSamePlayer = other => (card.playerId && other.playerId === card.playerId) || other.playerName === card.playerName;
+    const era = Collection.getEraName(card);
+    const sameSet = Cards.allCards.filter(other => other.cardSet === card.cardSet);
+    const sameEra = Cards.allCards.filter(other => Collection.getEraName(other) === era);
+
+    // Names that would be accepted as the answer (like a shared surname) can't be distractors
+    const isDistractor = other => !isSamePlayer(other) && !this.fuzzyMatch(other.playerName.toLowerCase(), card);
+    const names = this.pickDistinct([
+      sameSet.filter(isDistractor).map(other => other.playerName),
+      sameEra.filter(isDistractor).map(other => other.playerName),
+      Cards.allCards.filter(isDistractor).map(other => other.playerName),
+      Players.players.map(player => player.name).filter(name => !this.fuzzyMatch(name.toLowerCase(), card))
+    ], card.playerName);
+
+    const years = this.pickDistinct([
+      Cards.allCards.filter(isSamePlayer).map(other => other.year),
+      sameSet.map(other => other.year),
+      sameEra.map(other => other.year),
+      [-6, -5, -4, -3, -2, 2, 3, 4, 5, 6].map(offset => card.year + offset)
+    ], card.year);
+
+    return {
+      names: Random.shuffle([card.playerName, ...names]),
+      years: [card.year, ...years].sort((a, b) => a - b),
+      wrongNames: [],
+      wrongYears: []
+    };
+  },
+
+  /**
+   * Pick distractors, taking from earlier lists first (in random order within each list)
+   * @param {Array} lists - Lists of candidate values, most plausible first
+   * @param {*} answer - Correct value (never picked)
+   * @returns {Array} Up to choiceCount - 1 distinct values
+   */
+  pickDistinct(lists, answer) {
+    const picked = [];
+    lists.forEach(list => {
+      Random.shuffle([...new Set(list)]).forEach(value => {
+        if (picked.length < this.choiceCount - 1 && value !== answer && !picked.includes(value)) {
+          picked.push(value);
+        }
+      });
+    });
+    return picked;
+  },
+
+  /**
+   * Get the standard mode (used by daily challenges and old saves and links)
+   * @returns {Object} { style, attempts, junior, fields, lives }
+   */
+  getDefaultMode() {
+    const { style, attempts, junior, fields, lives } = this.defaultSettings;
+    return { style, attempts, junior, fields: [...fields], lives };
+  },
+
+  /**
+   * Get the mode chosen in the player's settings
+   * @returns {Object} { style, attempts, junior, fields, lives }
+   */
+  getSelectedMode() {
+    const { style, attempts, junior, fields, lives } = this.getSettings();
+    const mode = {
+      style,
+      attempts,
+      junior: junior === true,
+      lives: this.survival.lifeOptions.includes(lives) ? lives : null,
+      // In extraFields order, so the same fields always give the same mode key
+      fields: junior === true || !Array.isArray(fields)
+        ? []
+        : this.extraFields.filter(field => fields.includes(field.id)).map(field => field.id)
+    };
+    return this.isValidMode(mode) ? mode : this.getDefaultMode();
+  },
+
+  /**
+   * Check that a mode can be played
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {boolean} True if the style exists, the attempts and lives are offered and the fields are known (and not in Junior mode)
+   */
+  isValidMode(mode) {
+    return Object.hasOwn(this.revealStyles, mode.style) &&
+      this.attemptOptions.includes(mode.attempts) &&
+      (mode.lives === null || this.survival.lifeOptions.includes(mode.lives)) &&
+      Array.isArray(mode.fields) &&
+      mode.fields.every(id => this.getField(id) !== null) &&
+      !(mode.junior && mode.fields.length > 0);
+  },
+
+  /**
+   * Get a mode's key for high score tables and challenge links
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {string|null} Key like "pixelate-4", "blur-3-set-team", "blur-3-junior" or "blur-3-lives3" (null for the standard mode, which keeps the original high score)
+   */
+  getModeKey(mode) {
+    const standard = this.getDefaultMode();
+    const tags = this.getModeTags(mode);
+    if (mode.style === standard.style && mode.attempts === standard.attempts && tags.length === 0) return null;
+    return [mode.style, mode.attempts, ...tags].join('-');
+  },
+
+  /**
+   * Get the tags a mode key ends with
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {Array} Field tags in extraFields order, then 'junior', then lives (like 'lives3')
+   */
+  getModeTags(mode) {
+    const tags = this.extraFields.filter(field => mode.fields.includes(field.id)).map(field => field.tag);
+    if (mode.junior) tags.push('junior');
+    if (mode.lives !== null) tags.push(`lives${mode.lives}`);
+    return tags;
+  },
+
+  /**
+   * Read a mode key
+   * @param {string|null} key - Key from getModeKey
+   * @returns {Object|null} { style, attempts, junior, fields, lives }, or null if the key isn't a playable mode
+   */
+  parseModeKey(key) {
+    if (key === null) return this.getDefaultMode();
+    const match = typeof key === 'string' ? key.match(/^(.+?)-(\d+)((?:-[a-z]+\d*)*)$/) : null;
+    if (!match) return null;
+
+    const tags = match[3].split('-').slice(1);
+    const livesTag = tags.find(tag => /^lives\d+$/.test(tag));
+    const mode = {
+      style: match[1],
+      attempts: Number(match[2]),
+      junior: tags.includes('junior'),
+      fields: this.extraFields.filter(field => tags.includes(field.tag)).map(field => field.id),
+      lives: livesTag ? Number(livesTag.slice('lives'.length)) : null
+    };
+    // Unknown or repeated tags aren't a mode
+    const isCanonical = tags.join('-') === this.getModeTags(mode).join('-');
+    return isCanonical && this.isValidMode(mode) ? mode : null;
+  },
+
+  /**
+   * Describe a mode for labels
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {string} Text like "Pixelate • 4 attempts • + Card Set & Team" or "Junior • Survival (3 lives) • Blur • 3 attempts"
+   */
+  getModeLabel(mode) {
+    let label = `${this.revealStyles[mode.style].name} • ${mode.attempts} attempt${mode.attempts !== 1 ? 's' : ''}`;
+    if (mode.fields.length > 0) {
+      label += ` • + ${mode.fields.map(id => this.getField(id).name).join(' & ')}`;
+    }
+    if (mode.lives !== null) {
+      label = `Survival (${mode.lives} ${mode.lives !== 1 ? 'lives' : 'life'}) • ${label}`;
+    }
+    return mode.junior ? `Junior • ${label}` : label;
+  },
+
+  /**
+   * Get the most points a round can earn
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {number} 3 points each for the name, the year and every extra field
+   */
+  getMaxRoundPoints(mode) {
+    return 3 * (2 + mode.fields.length);
+  },
+
+  /**
+   * Get the most points a game can earn
+   * @param {Object} mode - { style, attempts, junior, fields, lives }
+   * @returns {number} Points over 5 rounds (30 with just the name and year)
+   */
+  getMaxPoints(mode) {
+    return 5 * this.getMaxRoundPoints(mode);
   },
 
   /**
    * Get game results
-   * @returns {Object} Results with totalPoints, roundHistory
+   * @returns {Object} Results with totalPoints, maxPoints (null in survival), roundHistory, hintsUsed (count over all rounds), bestStreak
    */
   getResults() {
     return {
       totalPoints: this.state.totalPoints,
-      maxPoints: 30,
-      roundHistory: this.state.roundHistory
+      maxPoints: this.state.mode.lives === null ? this.getMaxPoints(this.state.mode) : null,
+      bestStreak: this.state.bestStreak,
+      roundHistory: this.state.roundHistory,
+      hintsUsed: this.state.roundHistory.reduce((total, round) => total + (round.hintsUsed?.length ?? 0), 0)
     };
   },
 
@@ -251,12 +952,24 @@ const Guess = {
     this.state.totalPoints = 0;
     this.state.usedCardIds = [];
     this.state.currentCard = null;
+    this.state.mode = null;
+    this.state.choices = null;
+    this.state.roundAttempts = 3;
+    this.state.revealHold = 0;
     this.state.attemptsRemaining = 3;
+    this.state.livesRemaining = null;
+    this.state.streak = 0;
+    this.state.bestStreak = 0;
     this.state.nameCorrect = false;
     this.state.yearCorrect = false;
     this.state.namePointsEarned = 0;
     this.state.yearPointsEarned = 0;
+    this.state.yearGuesses = [];
+    this.state.fieldScores = {};
+    this.state.hintsUsed = [];
     this.state.roundHistory = [];
+    this.state.seed = null;
+    this.state.filter = null;
     this.state.isPlaying = false;
     this.state.awaitingNextRound = false;
   }
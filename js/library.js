@@ -0,0 +1,112 @@
+/**
+ * Card Library
+ * Search, sort and facet filtering for browsing every card in the deck
+ */
+const Library = {
+  sortOptions: [
+    { id: 'value', name: 'Value (high to low)' },
+    { id: 'year', name: 'Year (oldest first)' },
+    { id: 'player', name: 'Player (A–Z)' },
+    { id: 'set', name: 'Set (A–Z)' }
+  ],
+
+  // Card fields the search looks through
+  searchFields: ['playerName', 'cardSet', 'cardNumber', 'grade', 'team', 'position', 'description'],
+
+  state: {
+    query: '',          // Search text
+    sortBy: 'value',    // Sort option ID
+    filter: null        // Facet selections as filter criteria (null for none)
+  },
+
+  /**
+   * Normalize text for matching (lowercase, accents removed)
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  },
+
+  /**
+   * Check if a card matches a search (every word must appear in some field or player alias)
+   * @param {Object} card - Card object
+   * @param {string} query - Search text
+   * @returns {boolean} True if the card matches
+   */
+  matchesSearch(card, query) {
+    const words = this.normalizeText(query).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const text = this.normalizeText([
+      ...this.searchFields.map(field => card[field] ?? ''),
+      ...Players.getAliases(card),
+      card.year
+    ].join(' '));
+    return words.every(word => text.includes(word));
+  },
+
+  /**
+   * Sort cards for the library list
+   * @param {Array} cards - Cards to sort
+   * @param {string} sortBy - Sort option ID
+   * @returns {Array} Sorted copy
+   */
+  sort(cards, sortBy) {
+    switch (sortBy) {
+      case 'year':
+        return [...cards].sort((a, b) => a.year - b.year || a.playerName.localeCompare(b.playerName));
+      case 'player':
+        return [...cards].sort((a, b) => a.playerName.localeCompare(b.playerName) || a.year - b.year);
+      case 'set':
+        return [...cards].sort((a, b) => a.cardSet.localeCompare(b.cardSet) || a.year - b.year);
+      default:
+        return Cards.sortByValue(cards, true);
+    }
+  },
+
+  /**
+   * Get the cards to list for the current search, facets and sort
+   * @returns {Array} Matching cards in display order
+   */
+  getResults() {
+    const filtered = Filters.apply(Cards.allCards, this.state.filter)
+      .filter(card => this.matchesSearch(card, this.state.query));
+    return this.sort(filtered, this.state.sortBy);
+  },
+
+  /**
+   * Count cards for each choice of each facet
+   * @returns {Object} Counts by field, e.g. { teams: { 'New York Yankees': 4 } }
+   */
+  getFacetCounts() {
+    // No prototype, so imported values like "constructor" or "__proto__" count like any other
+    const counts = {
+      cardSets: Object.create(null),
+      teams: Object.create(null),
+      positions: Object.create(null),
+      graders: Object.create(null)
+    };
+    Cards.allCards.forEach(card => {
+      const values = {
+        cardSets: card.cardSet,
+        teams: card.team,
+        positions: card.position,
+        graders: Filters.getGrader(card)
+      };
+      Object.entries(values).forEach(([field, value]) => {
+        counts[field][value] = (counts[field][value] || 0) + 1;
+      });
+    });
+    return counts;
+  },
+
+  /**
+   * Clear search and facets
+   */
+  reset() {
+    this.state.query = '';
+    this.state.sortBy = 'value';
+    this.state.filter = null;
+  }
+};
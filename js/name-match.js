@@ -0,0 +1,205 @@
+/**
+ * Player Name Matching
+ * Typo-tolerant comparison of typed names (edit distance plus a phonetic key) and name suggestions
+ */
+const NameMatch = {
+  // Words left out before comparing ("The Babe" is "Babe", "Ken Griffey Jr." is "Ken Griffey")
+  ignoredWords: ['the', 'jr', 'sr'],
+
+  // Most suggestions shown under the name input
+  suggestionLimit: 6,
+
+  /**
+   * Simplify text for comparison (accents, case and punctuation removed)
+   * @param {string} text - Name as typed or stored
+   * @returns {string} Lowercase letters and digits separated by single spaces
+   */
+  normalize(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’.]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Split a name into comparable words
+   * @param {string} text - Name
+   * @returns {Array} Normalized words without ignored words
+   */
+  getWords(text) {
+    return this.normalize(text).split(' ').filter(word => word && !this.ignoredWords.includes(word));
+  },
+
+  /**
+   * Count the edits between two words (insert, delete, substitute or swap neighbours)
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @returns {number} Edit distance
+   */
+  editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  },
+
+  /**
+   * Get a word's sound code (Soundex, with the first letter coded too so "Klemente" sounds like "Clemente")
+   * @param {string} word - Normalized word
+   * @returns {string} Sound code
+   */
+  phoneticKey(word) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    let key = '';
+    let previous = null;
+    for (const letter of word) {
+      const code = codes[letter] ?? null;
+      if (code !== null && code !== previous) key += code;
+      // h and w don't separate repeated sounds; vowels do
+      if (letter !== 'h' && letter !== 'w') previous = code;
+    }
+    return key;
+  },
+
+  /**
+   * Get how many typos a name word allows
+   * @param {string} word - Normalized name word
+   * @returns {number} 0 for short words, 1 up to 5 letters, 2 for longer words
+   */
+  getTolerance(word) {
+    if (word.length <= 3) return 0;
+    return word.length <= 5 ? 1 : 2;
+  },
+
+  /**
+   * Check if a typed word is a name word, allowing typos and sound-alike spellings
+   * A typo doesn't count when the typed word is as close to another player's name word
+   * ("Wagner" is two edits from "Walter", but it's Honus Wagner's name, not Walter Johnson's)
+   * @param {string} input - Normalized typed word
+   * @param {string} word - Normalized name word
+   * @param {Set} otherWords - Normalized name words of other players (optional)
+   * @returns {boolean} True if they match
+   */
+  wordsMatch(input, word, otherWords = new Set()) {
+    if (input === word) return true;
+    const tolerance = this.getTolerance(word);
+    if (tolerance === 0) return false;
+
+    const distance = this.editDistance(input, word);
+    // Sound-alike spellings get one more edit ("DiMahjo" for "DiMaggio")
+    const isClose = distance <= tolerance ||
+      (distance === tolerance + 1 && this.phoneticKey(input) === this.phoneticKey(word));
+    if (!isClose) return false;
+
+    for (const other of otherWords) {
+      if (other !== word && this.editDistance(input, other) <= distance) return false;
+    }
+    return true;
+  },
+
+  /**
+   * Check if input is a whole name, word for word (used for nicknames like "The Bambino")
+   * @param {string} input - Typed name
+   * @param {string} name - Name or nickname
+   * @param {Set} otherWords - Name words a typo mustn't be closer to (optional, see wordsMatch)
+   * @returns {boolean} True if every word matches
+   */
+  matchFull(input, name, otherWords = new Set()) {
+    const inputWords = this.getWords(input);
+    const nameWords = this.getWords(name);
+    return inputWords.length > 0 &&
+      inputWords.length === nameWords.length &&
+      inputWords.every((word, index) => this.wordsMatch(word, nameWords[index], otherWords));
+  },
+
+  /**
+   * Check if input names a player
+   * Accepts the full name, the last name alone, a different first name with the right last name
+   * ("Ed Plank"), or one other word of the name unless several players share it (like "Joe").
+   * Typos that spell another player's name don't count: with Walter Johnson and Honus Wagner both
+   * known, "Wagner" isn't Walter Johnson and "Walter" isn't Honus Wagner
+   * @param {string} input - Typed name
+   * @param {string} name - Player's name
+   * @param {Set} genericWords - Name words shared by several players (from getGenericWords)
+   * @param {Array} names - Every known player's name (optional, to rule out typos for other players)
+   * @returns {boolean} True if input names the player
+   */
+  matchPlayer(input, name, genericWords = new Set(), names = []) {
+    const otherWords = this.getOtherWords(name, names);
+    if (this.matchFull(input, name, otherWords)) return true;
+
+    const inputWords = this.getWords(input);
+    const nameWords = this.getWords(name);
+    if (inputWords.length === 0 || nameWords.length === 0) return false;
+
+    const lastName = nameWords[nameWords.length - 1];
+    if (this.wordsMatch(inputWords[inputWords.length - 1], lastName, otherWords)) return true;
+
+    if (inputWords.length > 1) return false;
+    return nameWords.slice(0, -1).some(word =>
+      !genericWords.has(word) && this.wordsMatch(inputWords[0], word, otherWords)
+    );
+  },
+
+  /**
+   * Collect the name words of every other player
+   * @param {string} name - Player's name
+   * @param {Array} names - Every known player's name
+   * @returns {Set} Normalized words from names other than this one
+   */
+  getOtherWords(name, names) {
+    const normalized = this.normalize(name);
+    return new Set(names.filter(other => this.normalize(other) !== normalized).flatMap(other => this.getWords(other)));
+  },
+
+  /**
+   * Find first and middle names shared by more than one player
+   * @param {Array} names - One name per player
+   * @returns {Set} Normalized words too generic to identify a player on their own
+   */
+  getGenericWords(names) {
+    const counts = new Map();
+    names.forEach(name => {
+      new Set(this.getWords(name).slice(0, -1)).forEach(word => {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      });
+    });
+    return new Set([...counts].filter(([, count]) => count > 1).map(([word]) => word));
+  },
+
+  /**
+   * Suggest names for partly typed input
+   * A name is suggested when it, or one of its words, starts with the input, allowing typos
+   * @param {string} input - Typed text
+   * @param {Array} names - Names to suggest from
+   * @returns {Array} Best names first (at most suggestionLimit)
+   */
+  getSuggestions(input, names) {
+    const typed = this.normalize(input);
+    if (typed.length < 2) return [];
+
+    const tolerance = this.getTolerance(typed);
+    return names
+      .map(name => {
+        const candidates = [this.normalize(name), ...this.getWords(name)];
+        const distance = Math.min(...candidates.map(text => this.editDistance(typed, text.slice(0, typed.length))));
+        return { name, distance };
+      })
+      .filter(({ distance }) => distance <= tolerance)
+      .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+      .slice(0, this.suggestionLimit)
+      .map(({ name }) => name);
+  }
+};
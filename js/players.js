@@ -0,0 +1,97 @@
+/**
+ * Player Registry
+ * Canonical player records (aliases, life dates, Hall of Fame year, teams) that cards reference by playerId
+ */
+const Players = {
+  registryPath: 'data/players.json',
+  players: [],
+  isLoaded: false,
+
+  /**
+   * Load the player registry
+   * @returns {Promise<Array>} Players (empty if the registry can't be loaded)
+   */
+  async load() {
+    if (this.isLoaded) {
+      return this.players;
+    }
+
+    try {
+      const response = await fetch(this.registryPath);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.players = (data.players || []).filter(player => this.isValid(player));
+    } catch (error) {
+      // Cards still work without the registry, just without aliases and player pages
+      console.error('Failed to load player registry:', error);
+      this.players = [];
+    }
+
+    this.isLoaded = true;
+    return this.players;
+  },
+
+  /**
+   * Check that a registry entry has an id and name
+   * @param {Object} player - Registry entry
+   * @returns {boolean} True if usable
+   */
+  isValid(player) {
+    return typeof player?.id === 'string' && player.id !== '' &&
+      typeof player.name === 'string' && player.name !== '';
+  },
+
+  /**
+   * Get a player by ID
+   * @param {string} id - Player ID
+   * @returns {Object|null} Player or null
+   */
+  get(id) {
+    return this.players.find(player => player.id === id) || null;
+  },
+
+  /**
+   * Get the player a card shows
+   * @param {Object} card - Card object
+   * @returns {Object|null} Player, or null if the card has no registry entry
+   */
+  getForCard(card) {
+    return card.playerId ? this.get(card.playerId) : null;
+  },
+
+  /**
+   * Get a card's player's other names
+   * @param {Object} card - Card object
+   * @returns {Array} Canonical name and aliases (empty without a registry entry)
+   */
+  getAliases(card) {
+    const player = this.getForCard(card);
+    if (!player) return [];
+    return [player.name, ...(player.aliases || [])].filter(name => name !== card.playerName);
+  },
+
+  /**
+   * Get a player's cards from a list
+   * @param {string} playerId - Player ID
+   * @param {Array} cards - Cards to look through
+   * @returns {Array} The player's cards, oldest first
+   */
+  getCards(playerId, cards) {
+    return cards
+      .filter(card => card.playerId === playerId)
+      .sort((a, b) => a.year - b.year || a.cardSet.localeCompare(b.cardSet));
+  },
+
+  /**
+   * Describe a player's life dates
+   * @param {Object} player - Player
+   * @returns {string} Text like "1886–1961" or "Born 1941" (empty if unknown)
+   */
+  formatLifespan(player) {
+    if (player.born && player.died) return `${player.born}–${player.died}`;
+    if (player.born) return `Born ${player.born}`;
+    return '';
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * Seeded Random Source
+ * Single reproducible random number generator shared by all game modules
+ */
+const Random = {
+  seedValue: null,  // Seed the current sequence was started from
+  stateValue: 0,    // Internal generator state (32-bit)
+
+  /**
+   * Start a new random sequence
+   * @param {number|string} seed - Seed value (random seed generated if omitted)
+   * @returns {number} Seed that was used
+   */
+  seed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      seed = this.createSeed();
+    }
+
+    this.seedValue = typeof seed === 'number' ? seed >>> 0 : this.hashString(String(seed));
+    this.stateValue = this.seedValue;
+    return this.seedValue;
+  },
+
+  /**
+   * Create a fresh seed for unseeded games
+   * @returns {number} 32-bit unsigned seed
+   */
+  createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  },
+
+  /**
+   * Hash a string into a 32-bit seed (FNV-1a)
+   * @param {string} str - String to hash
+   * @returns {number} 32-bit unsigned hash
+   */
+  hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * Next random float in [0, 1) (mulberry32)
+   * @returns {number} Random float
+   */
+  next() {
+    if (this.seedValue === null) {
+      this.seed();
+    }
+
+    this.stateValue = (this.stateValue + 0x6d2b79f5) >>> 0;
+    return this.mix(this.stateValue);
+  },
+
+  /**
+   * Turn a generator state into a float (the output step of mulberry32)
+   * @param {number} state - 32-bit state
+   * @returns {number} Float in [0, 1)
+   */
+  mix(state) {
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  },
+
+  /**
+   * Create a separate generator that leaves the shared sequence alone
+   * (for things fixed per card, like a mosaic's tile order)
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} Returns the next float in [0, 1) on each call (mulberry32)
+   */
+  createGenerator(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      return this.mix(state);
+    };
+  },
+
+  /**
+   * Random integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  },
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element (undefined if empty)
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  },
+
+  /**
+   * Shuffle a copy of an array (Fisher-Yates)
+   * @param {Array} array - Array to shuffle
+   * @param {Function} next - Generator to draw from (default: the shared sequence)
+   * @returns {Array} New shuffled array
+   */
+  shuffle(array, next = () => this.next()) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  },
+
+  /**
+   * Get generator state (to save a game and continue it later)
+   * @returns {Object} Seed and current state
+   */
+  getState() {
+    return { seed: this.seedValue, state: this.stateValue };
+  },
+
+  /**
+   * Restore generator state saved with getState()
+   * @param {Object} saved - Seed and state
+   */
+  setState(saved) {
+    this.seedValue = saved.seed;
+    this.stateValue = saved.state;
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Hash Router
+ * Maps URLs like #/valuation/2-card to screens and keeps browser history in sync
+ */
+const Router = {
+  // Static segments must come before parameter segments at the same depth
+  routes: [
+    { path: '/', screen: 'game-selector' },
+    { path: '/matching', screen: 'menu' },
+    { path: '/matching/results', screen: 'victory', replace: true },
+    { path: '/matching/:cards', screen: 'game' },
+    { path: '/valuation', screen: 'valuation-menu' },
+    { path: '/valuation/results', screen: 'valuation-results', replace: true },
+    { path: '/valuation/:mode', screen: 'valuation-game' },
+    { path: '/guess', screen: 'guess-menu' },
+    { path: '/guess/play', screen: 'guess-game' },
+    { path: '/guess/results', screen: 'guess-results', replace: true },
+    { path: '/daily', screen: 'daily' },
+    { path: '/filters', screen: 'filters' },
+    { path: '/library', screen: 'library' },
+    { path: '/album', screen: 'album' },
+    { path: '/import', screen: 'import' },
+    { path: '/editor', screen: 'editor' },
+    { path: '/player/:id', screen: 'player' }
+  ],
+  currentPath: null,         // Path of the screen currently shown
+  isHandlingPopState: false, // Redirects during back/forward replace instead of push
+  onRouteChange: null,       // Callback(route) for back/forward, returns false to cancel
+
+  /**
+   * Start listening for back/forward navigation
+   * @param {Function} onRouteChange - Called with { screen, params }; resolve to false to stay put
+   */
+  init(onRouteChange) {
+    this.onRouteChange = onRouteChange;
+    window.addEventListener('popstate', () => this.handlePopState());
+  },
+
+  /**
+   * Get path from the current URL hash
+   * @returns {string} Path like "/valuation/2-card"
+   */
+  getCurrentPath() {
+    return window.location.hash.replace(/^#/, '') || '/';
+  },
+
+  /**
+   * Resolve a path to a screen
+   * @param {string} path - Path like "/matching/20"
+   * @returns {Object} Route with screen and params (game selector if unknown or malformed)
+   */
+  match(path) {
+    let segments;
+    try {
+      // Decoded once up front so a bad escape like "%E0" falls back instead of throwing
+      segments = path.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    } catch {
+      return { screen: 'game-selector', params: {} };
+    }
+
+    for (const route of this.routes) {
+      const routeSegments = route.path.split('/').filter(Boolean);
+      if (routeSegments.length !== segments.length) continue;
+
+      const params = {};
+      const isMatch = routeSegments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = segments[index];
+          return true;
+        }
+        return segment === segments[index];
+      });
+
+      if (isMatch) {
+        return { screen: route.screen, params };
+      }
+    }
+
+    return { screen: 'game-selector', params: {} };
+  },
+
+  /**
+   * Build the path for a screen
+   * @param {string} screenId - Screen ID
+   * @param {Object} params - Route params (e.g. { mode: '2-card' })
+   * @returns {string|null} Path or null if the screen has no route
+   */
+  buildPath(screenId, params = {}) {
+    const route = this.routes.find(r => r.screen === screenId);
+    if (!route) return null;
+
+    return route.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name] ?? ''));
+  },
+
+  /**
+   * Record that a screen is now shown (pushes a history entry if the URL changes)
+   * @param {string} screenId - Screen ID
+   * @param {Object} params - Route params
+   */
+  record(screenId, params = {}) {
+    const path = this.buildPath(screenId, params);
+    if (path === null) return;
+
+    if (path !== this.getCurrentPath()) {
+      const url = `${window.location.pathname}${window.location.search}#${path}`;
+      const route = this.routes.find(r => r.screen === screenId);
+
+      // First screen, redirects and results screens replace the entry instead of adding one
+      if (this.currentPath === null || this.isHandlingPopState || route.replace) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+    }
+
+    this.currentPath = path;
+  },
+
+  /**
+   * Handle browser back/forward
+   */
+  async handlePopState() {
+    const path = this.getCurrentPath();
+    if (path === this.currentPath) return;
+
+    const previousPath = this.currentPath;
+    this.isHandlingPopState = true;
+    let allowed = true;
+    try {
+      if (this.onRouteChange) {
+        allowed = await this.onRouteChange(this.match(path));
+      }
+    } finally {
+      this.isHandlingPopState = false;
+    }
+
+    // Navigation cancelled - put the screen we stayed on back in the address bar
+    if (allowed === false && previousPath !== null) {
+      window.history.pushState(null, '', `${window.location.pathname}${window.location.search}#${previousPath}`);
+      this.currentPath = previousPath;
+    }
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Saved Game Manager
+ * Keeps the in-progress game of each type in localStorage so it can be resumed
+ */
+const SavedGames = {
+  storageKey: 'baseballCardGame_savedGames',
+
+  /**
+   * Get all saved games
+   * @returns {Object} Saved games by game type
+   */
+  getAll() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch {
+      return {};
+    }
+  },
+
+  /**
+   * Write all saved games
+   * @param {Object} saves - Saved games by game type
+   */
+  saveAll(saves) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(saves));
+    } catch {
+      // Storage full or unavailable - game just won't be resumable
+    }
+  },
+
+  /**
+   * Get the saved game for a game type
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {Object|null} { state, context, savedAt } or null
+   */
+  get(gameType) {
+    const saved = this.getAll()[gameType];
+    return saved?.state ? saved : null;
+  },
+
+  /**
+   * Check if a game type has a game to resume
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @returns {boolean} True if a saved game exists
+   */
+  has(gameType) {
+    return this.get(gameType) !== null;
+  },
+
+  /**
+   * Save a game module's state snapshot
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {Object} state - Snapshot from the module's serialize()
+   */
+  save(gameType, state) {
+    const saves = this.getAll();
+    saves[gameType] = { ...saves[gameType], state, savedAt: Date.now() };
+    this.saveAll(saves);
+  },
+
+  /**
+   * Save how the game was started (daily challenge, shared link)
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {Object} context - App context to restore on resume
+   */
+  setContext(gameType, context) {
+    const saves = this.getAll();
+    if (!saves[gameType]) return;
+    saves[gameType].context = context;
+    this.saveAll(saves);
+  },
+
+  /**
+   * Remove the saved game for a game type
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  clear(gameType) {
+    const saves = this.getAll();
+    delete saves[gameType];
+    this.saveAll(saves);
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Challenge Link Manager
+ * Encodes a finished game into a URL that replays the exact same cards
+ */
+const Share = {
+  paramName: 'challenge',
+  gameTypes: ['matching', 'valuation', 'guess'],
+
+  /**
+   * Encode a challenge as a URL-safe string
+   * @param {Object} challenge - { game, mode, seed, score, deck, filter }
+   * @returns {string} Encoded challenge
+   */
+  encode(challenge) {
+    const json = JSON.stringify({
+      g: challenge.game,
+      m: challenge.mode,
+      s: challenge.seed,
+      sc: challenge.score,
+      d: challenge.deck,
+      f: challenge.filter || undefined
+    });
+    return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decode a challenge string
+   * @param {string} encoded - String from encode()
+   * @returns {Object|null} Challenge or null if invalid
+   */
+  decode(encoded) {
+    try {
+      const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+      const data = JSON.parse(atob(base64));
+      // Links from before decks existed are for the default deck
+      const challenge = {
+        game: data.g,
+        mode: data.m,
+        seed: data.s,
+        score: data.sc,
+        deck: data.d ?? Decks.defaultDeckId,
+        filter: data.f ? Filters.normalize(data.f) : null
+      };
+      return this.isValid(challenge) ? challenge : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Check that a decoded challenge describes a playable game
+   * @param {Object} challenge - Decoded challenge
+   * @returns {boolean} True if valid
+   */
+  isValid(challenge) {
+    if (!this.gameTypes.includes(challenge.game)) return false;
+    if (!Number.isInteger(challenge.seed) || challenge.seed < 0) return false;
+    if (typeof challenge.score !== 'number') return false;
+    if (typeof challenge.deck !== 'string' || challenge.deck === '') return false;
+
+    switch (challenge.game) {
+      case 'matching':
+        return [10, 20, 30].includes(challenge.mode);
+      case 'valuation':
+        return Valuation.modes.includes(challenge.mode);
+      case 'guess':
+        // Links from before reveal styles have no mode (the standard mode)
+        return Guess.parseModeKey(challenge.mode ?? null) !== null;
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Build a shareable link for a finished game
+   * @param {Object} challenge - { game, mode, seed, score, deck, filter }
+   * @returns {string} Full URL
+   */
+  createLink(challenge) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}?${this.paramName}=${this.encode(challenge)}`;
+  },
+
+  /**
+   * Read a challenge from a URL query string
+   * @param {string} search - Query string (e.g. window.location.search)
+   * @returns {Object|null} Challenge or null if none/invalid
+   */
+  parse(search) {
+    const encoded = new URLSearchParams(search).get(this.paramName);
+    return encoded ? this.decode(encoded) : null;
+  },
+
+  /**
+   * Remove the challenge parameter from the address bar
+   */
+  clearFromUrl() {
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${hash}`);
+  },
+
+  /**
+   * Share a challenge link (native share sheet, clipboard, or prompt fallback)
+   * @param {Object} challenge - { game, mode, seed, score, deck, filter }
+   * @returns {Promise<string>} 'shared', 'copied', or 'shown'
+   */
+  async share(challenge) {
+    const url = this.createLink(challenge);
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: 'Vintage Baseball Card Games', text: 'Can you beat my score?', url });
+        return 'shared';
+      } catch {
+        // Share sheet dismissed or unavailable - fall through to clipboard
+      }
+    }
+
+    if (navigator.clipboard) {
+      try {
+        await navigator.clipboard.writeText(url);
+        return 'copied';
+      } catch {
+        // Clipboard permission denied - fall through to prompt
+      }
+    }
+
+    window.prompt('Copy this challenge link:', url);
+    return 'shown';
+  }
+};
@@ -3,6 +3,10 @@
  * Handles DOM manipulation, rendering, and screen transitions
  */
 const UI = {
+  albumToastTimer: null,  // Hides the "added to your album" notice
+  drag: null,             // Sort card being dragged (null when none)
+  dragThreshold: 8,       // Pixels a press moves before it's a drag instead of a tap
+
   elements: {
     gameSelectorScreen: null,
     menuScreen: null,
@@ -14,6 +18,14 @@ const UI = {
     guessMenuScreen: null,
     guessGameScreen: null,
     guessResultsScreen: null,
+    dailyScreen: null,
+    filtersScreen: null,
+    libraryScreen: null,
+    albumScreen: null,
+    importScreen: null,
+    editorScreen: null,
+    playerScreen: null,
+    dataErrorScreen: null,
     gameBoard: null,
     turnCounter: null,
     modalOverlay: null
@@ -33,61 +45,73 @@ const UI = {
     this.elements.guessMenuScreen = document.getElementById('guess-menu-screen');
     this.elements.guessGameScreen = document.getElementById('guess-game-screen');
     this.elements.guessResultsScreen = document.getElementById('guess-results-screen');
+    this.elements.dailyScreen = document.getElementById('daily-screen');
+    this.elements.filtersScreen = document.getElementById('filters-screen');
+    this.elements.libraryScreen = document.getElementById('library-screen');
+    this.elements.albumScreen = document.getElementById('album-screen');
+    this.elements.importScreen = document.getElementById('import-screen');
+    this.elements.editorScreen = document.getElementById('editor-screen');
+    this.elements.playerScreen = document.getElementById('player-screen');
+    this.elements.dataErrorScreen = document.getElementById('data-error-screen');
     this.elements.gameBoard = document.getElementById('game-board');
     this.elements.turnCounter = document.getElementById('turn-counter');
     this.elements.modalOverlay = document.getElementById('card-info-modal');
   },
 
+  // Display names for valuation modes
+  valuationModeNames: {
+    '3-card': '3-Card Sort',
+    '4-card': '4-Card Sort',
+    '5-card': '5-Card Sort',
+    '6-card': '6-Card Sort',
+    '2-card': '2-Card Pick',
+    '1-card': 'Value Guess',
+    'as-of-year': 'Past Prices',
+    'estimate': 'Value Estimate'
+  },
+
+  // Screen IDs mapped to their element keys
+  screens: {
+    'game-selector': 'gameSelectorScreen',
+    'menu': 'menuScreen',
+    'game': 'gameScreen',
+    'victory': 'victoryScreen',
+    'valuation-menu': 'valuationMenuScreen',
+    'valuation-game': 'valuationGameScreen',
+    'valuation-results': 'valuationResultsScreen',
+    'guess-menu': 'guessMenuScreen',
+    'guess-game': 'guessGameScreen',
+    'guess-results': 'guessResultsScreen',
+    'daily': 'dailyScreen',
+    'filters': 'filtersScreen',
+    'library': 'libraryScreen',
+    'album': 'albumScreen',
+    'import': 'importScreen',
+    'editor': 'editorScreen',
+    'player': 'playerScreen',
+    'data-error': 'dataErrorScreen'
+  },
+
   /**
-   * Show a specific screen
-   * @param {string} screenId - Screen to show ('menu', 'game', 'victory')
+   * Show a specific screen and record it in browser history
+   * @param {string} screenId - Screen to show ('menu', 'game', 'victory', ...)
+   * @param {Object} params - Route params for the URL (e.g. { mode: '2-card' })
    */
-  showScreen(screenId) {
+  showScreen(screenId, params = {}) {
     // Hide all screens
-    const screens = [
-      'gameSelectorScreen', 'menuScreen', 'gameScreen', 'victoryScreen',
-      'valuationMenuScreen', 'valuationGameScreen', 'valuationResultsScreen',
-      'guessMenuScreen', 'guessGameScreen', 'guessResultsScreen'
-    ];
-    screens.forEach(screen => {
+    Object.values(this.screens).forEach(screen => {
       if (this.elements[screen]) {
         this.elements[screen].classList.remove('active');
       }
     });
 
     // Show target screen
-    switch (screenId) {
-      case 'game-selector':
-        this.elements.gameSelectorScreen.classList.add('active');
-        break;
-      case 'menu':
-        this.elements.menuScreen.classList.add('active');
-        break;
-      case 'game':
-        this.elements.gameScreen.classList.add('active');
-        break;
-      case 'victory':
-        this.elements.victoryScreen.classList.add('active');
-        break;
-      case 'valuation-menu':
-        this.elements.valuationMenuScreen.classList.add('active');
-        break;
-      case 'valuation-game':
-        this.elements.valuationGameScreen.classList.add('active');
-        break;
-      case 'valuation-results':
-        this.elements.valuationResultsScreen.classList.add('active');
-        break;
-      case 'guess-menu':
-        this.elements.guessMenuScreen.classList.add('active');
-        break;
-      case 'guess-game':
-        this.elements.guessGameScreen.classList.add('active');
-        break;
-      case 'guess-results':
-        this.elements.guessResultsScreen.classList.add('active');
-        break;
+    const target = this.elements[this.screens[screenId]];
+    if (target) {
+      target.classList.add('active');
     }
+
+    Router.record(screenId, params);
   },
 
   /**
@@ -112,21 +136,21 @@ const UI = {
    * @returns {HTMLElement} Card element
    */
   createCardElement(card, index) {
-    const cardDiv = document.createElement('div');
-    cardDiv.className = 'card';
-    cardDiv.dataset.tileId = card.tileId;
-    cardDiv.dataset.cardId = card.id;
-
-    cardDiv.innerHTML = `
-      <div class="card-inner">
-        <div class="card-back"></div>
-        <div class="card-front">
-          <img src="images/cards/${card.imageFile}"
-               alt="${card.playerName} ${card.year} ${card.cardSet}"
-               loading="lazy">
-        </div>
-      </div>
-    `;
+    const cardDiv = Dom.create('div', {
+      className: 'card',
+      dataset: { tileId: card.tileId, cardId: card.id }
+    }, [
+      Dom.create('div', { className: 'card-inner' }, [
+        Dom.create('div', { className: 'card-back' }),
+        Dom.create('div', { className: 'card-front' }, [
+          Dom.create('img', {
+            src: Cards.getImagePath(card),
+            alt: `${card.playerName} ${card.year} ${card.cardSet}`,
+            loading: 'lazy'
+          })
+        ])
+      ])
+    ]);
 
     // Add staggered entrance animation
     cardDiv.style.animationDelay = `${index * 20}ms`;
@@ -139,7 +163,7 @@ const UI = {
    * @param {string} tileId - Tile to flip
    */
   flipCard(tileId) {
-    const card = document.querySelector(`[data-tile-id="${tileId}"]`);
+    const card = Dom.findByData('tile-id', tileId);
     if (card) {
       card.classList.add('flipped');
     }
@@ -151,7 +175,7 @@ const UI = {
    */
   unflipCards(tileIds) {
     tileIds.forEach(tileId => {
-      const card = document.querySelector(`[data-tile-id="${tileId}"]`);
+      const card = Dom.findByData('tile-id', tileId);
       if (card) {
         card.classList.remove('flipped');
       }
@@ -164,7 +188,7 @@ const UI = {
    */
   markMatched(tileIds) {
     tileIds.forEach(tileId => {
-      const card = document.querySelector(`[data-tile-id="${tileId}"]`);
+      const card = Dom.findByData('tile-id', tileId);
       if (card) {
         card.classList.add('matched');
       }
@@ -226,10 +250,11 @@ const UI = {
 
   /**
    * Update high scores display on menu
+   * @param {string|null} filterKey - Show scores for a filter (from Filters.getKey)
    */
-  updateHighScores() {
+  updateHighScores(filterKey = null) {
     [10, 20, 30].forEach(count => {
-      const score = HighScores.get(count);
+      const score = HighScores.get('matching', count, filterKey);
       const element = document.getElementById(`high-score-${count}`);
       if (element) {
         element.textContent = score ? `${score} turns` : '--';
@@ -237,6 +262,148 @@ const UI = {
     });
   },
 
+  /**
+   * Disable matching difficulties that need more cards than the pool has
+   * @param {Array} pool - Cards available to the next game
+   */
+  updateDifficultyButtons(pool) {
+    document.querySelectorAll('.difficulty-btn').forEach(btn => {
+      const cardCount = parseInt(btn.dataset.cards, 10);
+      btn.disabled = !Game.canPlay(cardCount, pool);
+      btn.title = btn.disabled ? `Only ${pool.length} cards available` : '';
+    });
+  },
+
+  /**
+   * Disable valuation modes the pool can't fill
+   * @param {Array} pool - Cards available to the next game
+   */
+  updateValuationModeButtons(pool) {
+    document.querySelectorAll('.mode-btn[data-mode]').forEach(btn => {
+      btn.disabled = !Valuation.canPlay(btn.dataset.mode, pool);
+      btn.title = btn.disabled ? 'Not enough cards with different values' : '';
+    });
+  },
+
+  /**
+   * Disable the Guess the Card start button if the pool is too small
+   * @param {Array} pool - Cards available to the next game
+   */
+  updateGuessStartButton(pool) {
+    const btn = document.getElementById('start-guess-btn');
+    btn.disabled = !Guess.canPlay(pool);
+    btn.title = btn.disabled ? `Only ${pool.length} cards available (5 needed)` : '';
+  },
+
+  /**
+   * Fill the deck picker on the game selector
+   * @param {Array} decks - Decks from the manifest
+   * @param {string} activeId - Active deck ID
+   */
+  renderDeckPicker(decks, activeId) {
+    const select = document.getElementById('deck-select');
+    select.innerHTML = '';
+
+    decks.forEach(deck => {
+      const option = document.createElement('option');
+      option.value = deck.id;
+      option.textContent = deck.name;
+      option.selected = deck.id === activeId;
+      select.appendChild(option);
+    });
+
+    const active = decks.find(deck => deck.id === activeId);
+    document.getElementById('deck-description').textContent = active?.description || '';
+  },
+
+  /**
+   * Show the card data error screen
+   * @param {Array} errors - Errors from Cards.loadErrors
+   * @param {number} validCount - Number of cards that passed validation
+   */
+  showDataErrors(errors, validCount) {
+    document.getElementById('data-error-summary').textContent = validCount > 0
+      ? `${errors.length} card record${errors.length !== 1 ? 's' : ''} could not be used. ${validCount} valid cards are available.`
+      : 'No valid cards could be loaded, so the games cannot start.';
+
+    this.renderErrorList(document.getElementById('data-error-list'), errors, 'Record');
+
+    document.getElementById('data-error-continue-btn').style.display = validCount > 0 ? '' : 'none';
+    this.showScreen('data-error');
+  },
+
+  /**
+   * Render card validation errors as a list
+   * @param {HTMLElement} list - Container to fill
+   * @param {Array} errors - Errors from CardSchema.validate
+   * @param {string} recordLabel - What a numbered entry is called ('Record' or 'Row')
+   */
+  renderErrorList(list, errors, recordLabel) {
+    list.innerHTML = '';
+
+    errors.forEach(error => {
+      const item = document.createElement('div');
+      item.className = 'data-error-item';
+
+      const record = document.createElement('div');
+      record.className = 'data-error-record';
+      if (error.index === null) {
+        record.textContent = 'Card data file';
+      } else {
+        record.textContent = `${recordLabel} #${error.index + 1}${error.id ? ` (${error.id})` : ''}`;
+      }
+
+      const messages = document.createElement('ul');
+      messages.className = 'data-error-messages';
+      error.messages.forEach(message => {
+        const li = document.createElement('li');
+        li.textContent = message;
+        messages.appendChild(li);
+      });
+
+      item.appendChild(record);
+      item.appendChild(messages);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Show or hide a menu's Resume button for a saved game
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   */
+  updateResumeButton(gameType) {
+    const btn = document.getElementById(`resume-${gameType}-btn`);
+    const saved = SavedGames.get(gameType);
+    btn.style.display = saved ? 'flex' : 'none';
+    if (!saved) return;
+
+    const { state } = saved;
+    let description;
+    switch (gameType) {
+      case 'matching':
+        description = `${state.cardCount} cards • ${state.matchedPairs.length} matched • ${state.turns} turns`;
+        break;
+      case 'valuation':
+        description = `${this.valuationModeNames[state.mode]} • Round ${Math.min(state.currentRound + 1, 5)}/5 • ` +
+          (state.mode === 'estimate' || Valuation.isSortMode(state.mode) ? `${state.correctCount} points` : `${state.correctCount} correct`);
+        break;
+      case 'guess': {
+        const lives = state.livesRemaining ?? null;
+        description = lives === null
+          ? `Round ${Math.min(state.currentRound + 1, 5)}/5 • ${state.totalPoints} points`
+          : `Survival • Card ${state.currentRound + 1} • ${lives} ${lives !== 1 ? 'lives' : 'life'} left • ${state.totalPoints} points`;
+        break;
+      }
+    }
+
+    // Resuming switches back to the deck the game was started with
+    const deckId = saved.context?.deckId;
+    if (deckId && deckId !== Decks.getActiveId()) {
+      description += ` • ${Decks.get(deckId)?.name || deckId}`;
+    }
+    document.getElementById(`resume-${gameType}-desc`).textContent = description;
+  },
+
   /**
    * Show mobile hint based on screen size
    */
@@ -258,15 +425,97 @@ const UI = {
    * @param {Object} card - Card to display
    */
   showCardModal(card) {
-    document.getElementById('modal-card-image').src = `images/cards/${card.imageFile}`;
+    document.getElementById('modal-card-image').src = Cards.getImagePath(card);
     document.getElementById('modal-player-name').textContent = card.playerName;
-    document.getElementById('modal-card-set').textContent = `${card.year} ${card.cardSet}`;
-    document.getElementById('modal-card-value').textContent = `Est. Value: ${card.estimatedValue}`;
+    document.getElementById('modal-card-set').textContent =
+      `${card.year} ${card.cardSet}${card.cardNumber ? ` ${card.cardNumber}` : ''}`;
+    document.getElementById('modal-card-details').textContent = `${card.grade} • ${card.team} • ${card.position}`;
+    document.getElementById('modal-card-value').textContent = `Est. Value: ${Cards.formatValue(card.estimatedValue)}`;
+    document.getElementById('modal-card-value-source').textContent = Cards.formatValueSource(card.estimatedValue);
     document.getElementById('modal-card-desc').textContent = card.description;
+    this.renderPriceChart(card);
+
+    // Link to the player page when the card's player is in the registry
+    const player = Players.getForCard(card);
+    const playerButton = document.getElementById('modal-player-btn');
+    playerButton.style.display = player ? '' : 'none';
+    if (player) {
+      const cardCount = Players.getCards(player.id, Cards.allCards).length;
+      playerButton.dataset.playerId = player.id;
+      playerButton.textContent = `Player page: ${player.name} (${cardCount} card${cardCount !== 1 ? 's' : ''})`;
+    }
 
     this.elements.modalOverlay.classList.add('active');
   },
 
+  /**
+   * Draw a card's price history as a line chart in the card info modal
+   * @param {Object} card - Card to chart
+   */
+  renderPriceChart(card) {
+    const section = document.getElementById('modal-price-history');
+    const chart = document.getElementById('modal-price-chart');
+    chart.innerHTML = '';
+
+    const timeline = Cards.getPriceTimeline(card);
+    section.style.display = timeline.length >= 2 ? 'block' : 'none';
+    if (timeline.length < 2) return;
+
+    const width = 280;
+    const height = 120;
+    const pad = { top: 12, right: 12, bottom: 22, left: 12 };
+    const times = timeline.map(value => new Date(`${value.asOf}T00:00:00`).getTime());
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const maxAmount = Math.max(...timeline.map(value => value.amount));
+    // Same-day entries have no time span, so they sit in the middle
+    const x = time => maxTime === minTime
+      ? width / 2
+      : pad.left + (time - minTime) / (maxTime - minTime) * (width - pad.left - pad.right);
+    const y = amount => height - pad.bottom - amount / maxAmount * (height - pad.top - pad.bottom);
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const create = (tag, attributes) => {
+      const el = document.createElementNS(svgNS, tag);
+      Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+      return el;
+    };
+
+    const first = timeline[0];
+    const last = timeline[timeline.length - 1];
+    const svg = create('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img',
+      'aria-label': `Value went from ${Cards.formatValue(first)} in ${first.asOf.slice(0, 4)} to ${Cards.formatValue(last)} in ${last.asOf.slice(0, 4)}`
+    });
+
+    svg.appendChild(create('line', {
+      class: 'price-chart-axis',
+      x1: pad.left, y1: height - pad.bottom, x2: width - pad.right, y2: height - pad.bottom
+    }));
+    svg.appendChild(create('polyline', {
+      class: 'price-chart-line',
+      points: timeline.map((value, i) => `${x(times[i])},${y(value.amount)}`).join(' ')
+    }));
+
+    timeline.forEach((value, i) => {
+      const point = create('circle', { class: 'price-chart-point', cx: x(times[i]), cy: y(value.amount), r: 3 });
+      const title = create('title', {});
+      title.textContent = `${value.asOf.slice(0, 4)}: ${Cards.formatValue(value)}`;
+      point.appendChild(title);
+      svg.appendChild(point);
+    });
+
+    // Label the first and last years under the axis
+    [[first, times[0], 'start'], [last, times[times.length - 1], 'end']].forEach(([value, time, anchor]) => {
+      const label = create('text', { class: 'price-chart-label', x: x(time), y: height - 6, 'text-anchor': anchor });
+      label.textContent = value.asOf.slice(0, 4);
+      svg.appendChild(label);
+    });
+
+    chart.appendChild(svg);
+  },
+
   /**
    * Hide card info modal
    */
@@ -288,26 +537,36 @@ const UI = {
     cardDiv.dataset.cardId = card.id;
 
     const img = document.createElement('img');
-    img.src = `images/cards/${card.imageFile}`;
+    img.src = Cards.getImagePath(card);
     img.alt = Cards.formatCardNamePlain(card);
 
     cardDiv.appendChild(img);
 
     if (showName) {
-      const nameLabel = document.createElement('div');
-      nameLabel.className = 'card-name-label';
-      nameLabel.innerHTML = Cards.formatCardName(card);
-      cardDiv.appendChild(nameLabel);
+      cardDiv.appendChild(this.createCardNameLabel(card));
     }
 
     return cardDiv;
   },
 
   /**
-   * Render 3-card mode
+   * Create the name label shown under a valuation card
+   * @param {Object} card - Card data
+   * @returns {HTMLElement} Label with player, set and grade lines
+   */
+  createCardNameLabel(card) {
+    return Dom.create('div', { className: 'card-name-label' }, [
+      Dom.create('div', { className: 'card-name-line player', text: card.playerName }),
+      Dom.create('div', { className: 'card-name-line set', text: `${card.year} ${card.cardSet}` }),
+      Dom.create('div', { className: 'card-name-line grade', text: card.grade })
+    ]);
+  },
+
+  /**
+   * Render a sort mode (3 to 6 cards)
    * @param {Array} cards - Cards for the round
    */
-  renderThreeCardMode(cards) {
+  renderSortMode(cards) {
     const showNames = document.getElementById('show-names-toggle')?.checked ?? true;
     const selectionArea = document.getElementById('card-selection-area');
     selectionArea.innerHTML = '';
@@ -320,24 +579,142 @@ const UI = {
         const event = new CustomEvent('cardSelected', { detail: { cardId: card.id } });
         document.dispatchEvent(event);
       });
+      this.enableCardDrag(cardEl, card.id);
       selectionArea.appendChild(cardEl);
     });
 
-    // Clear position slots
-    document.querySelectorAll('.position-slot .slot-content').forEach(slot => {
-      slot.innerHTML = '';
+    // One empty slot per card, most valuable first
+    const positionSlots = document.getElementById('position-slots');
+    Dom.setContent(positionSlots, cards.map((_, index) =>
+      Dom.create('div', { className: 'position-slot', dataset: { position: index } }, [
+        Dom.create('span', { className: 'position-label', text: this.getPositionLabel(index, cards.length) }),
+        Dom.create('div', { className: 'slot-content' })
+      ])
+    ));
+
+    // Five or six cards need smaller slots to fit
+    const isCompact = cards.length > 4;
+    selectionArea.classList.toggle('compact', isCompact);
+    positionSlots.classList.toggle('compact', isCompact);
+
+    const feedback = document.getElementById('sort-feedback');
+    feedback.style.display = 'none';
+    feedback.className = 'guess-feedback';
+  },
+
+  /**
+   * Get the label over a sort position slot
+   * @param {number} index - Position index (0 is the most valuable)
+   * @param {number} count - Number of slots
+   * @returns {string} Label like "1st (Most)", "2nd" or "5th (Least)"
+   */
+  getPositionLabel(index, count) {
+    const place = index + 1;
+    const suffix = ['th', 'st', 'nd', 'rd'][place] || 'th';
+    if (index === 0) return `${place}${suffix} (Most)`;
+    return index === count - 1 ? `${place}${suffix} (Least)` : `${place}${suffix}`;
+  },
+
+  /**
+   * Let a sort card be dragged with a mouse or finger onto a position slot, or back to the card pool
+   * A press that barely moves stays a tap, so tapping a card and then a slot still works.
+   * Fires 'cardDropped' with { cardId, position } (position is null for the pool)
+   * @param {HTMLElement} cardEl - Card element
+   * @param {string} cardId - Card ID
+   */
+  enableCardDrag(cardEl, cardId) {
+    cardEl.classList.add('draggable-card');
+    cardEl.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || this.drag || Valuation.state.awaitingNextRound) return;
+      this.drag = { cardId, cardEl, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, ghost: null };
+      cardEl.setPointerCapture(e.pointerId);
+    });
+    cardEl.addEventListener('pointermove', (e) => this.moveCardDrag(e));
+    cardEl.addEventListener('pointerup', (e) => this.endCardDrag(e, true));
+    cardEl.addEventListener('pointercancel', (e) => this.endCardDrag(e, false));
+  },
+
+  /**
+   * Move the dragged card with the pointer and highlight where it would land
+   * @param {PointerEvent} e - Pointer move event
+   */
+  moveCardDrag(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    if (!drag.ghost) {
+      if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < this.dragThreshold) return;
+
+      // Past the threshold: float a copy of the card under the pointer
+      const rect = drag.cardEl.getBoundingClientRect();
+      drag.offsetX = drag.startX - rect.left;
+      drag.offsetY = drag.startY - rect.top;
+      drag.ghost = drag.cardEl.cloneNode(true);
+      drag.ghost.classList.add('drag-ghost');
+      drag.ghost.style.width = `${rect.width}px`;
+      document.body.appendChild(drag.ghost);
+      drag.cardEl.classList.add('dragging');
+    }
+
+    drag.ghost.style.transform = `translate(${e.clientX - drag.offsetX}px, ${e.clientY - drag.offsetY}px)`;
+    const target = this.getDropTarget(e.clientX, e.clientY);
+    document.querySelectorAll('.position-slot, .card-selection-area').forEach(el => {
+      el.classList.toggle('drop-target', el === target);
     });
   },
 
   /**
-   * Render 2-card mode
+   * Finish a card drag
+   * @param {PointerEvent} e - Pointer up or cancel event
+   * @param {boolean} drop - False if the drag was cancelled
+   */
+  endCardDrag(e, drop) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this.drag = null;
+
+    // A tap - the card's click handler selects it
+    if (!drag.ghost) return;
+
+    drag.ghost.remove();
+    drag.cardEl.classList.remove('dragging');
+    document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+
+    // The click that ends the press belongs to the drag, not a tap
+    const swallowClick = event => event.stopPropagation();
+    window.addEventListener('click', swallowClick, { capture: true, once: true });
+    setTimeout(() => window.removeEventListener('click', swallowClick, true), 0);
+
+    const target = drop ? this.getDropTarget(e.clientX, e.clientY) : null;
+    if (!target) return;
+    const position = target.classList.contains('position-slot') ? Number(target.dataset.position) : null;
+    document.dispatchEvent(new CustomEvent('cardDropped', { detail: { cardId: drag.cardId, position } }));
+  },
+
+  /**
+   * Find the position slot or card pool under a point
+   * @param {number} x - Client X
+   * @param {number} y - Client Y
+   * @returns {HTMLElement|null} Slot or pool element
+   */
+  getDropTarget(x, y) {
+    return document.elementFromPoint(x, y)?.closest('.position-slot, .card-selection-area') || null;
+  },
+
+  /**
+   * Render 2-card mode (also used by as-of-year mode)
    * @param {Array} cards - Two cards for the round
+   * @param {number|null} year - Year the values are compared in (null for current values)
    */
-  renderTwoCardMode(cards) {
+  renderTwoCardMode(cards, year = null) {
     const showNames = document.getElementById('show-names-toggle')?.checked ?? true;
     const twoCardArea = document.getElementById('two-card-area');
     twoCardArea.innerHTML = '';
 
+    document.getElementById('two-card-instruction').textContent = year
+      ? `Which was worth more in ${year}?`
+      : 'Click the MORE valuable card';
+
     cards.forEach(card => {
       const cardEl = this.createValuationCard(card, showNames);
       cardEl.classList.add('selectable-card', 'two-card-choice');
@@ -379,6 +756,101 @@ const UI = {
     });
   },
 
+  /**
+   * Render estimate mode
+   * @param {Object} card - Card to display
+   */
+  renderEstimateMode(card) {
+    const showNames = document.getElementById('show-names-toggle')?.checked ?? true;
+    const cardArea = document.getElementById('estimate-card-area');
+    cardArea.innerHTML = '';
+
+    const cardEl = this.createValuationCard(card, showNames);
+    cardEl.classList.add('display-card');
+    cardArea.appendChild(cardEl);
+
+    // Start from the middle of the slider
+    const slider = document.getElementById('estimate-slider');
+    slider.value = 0.5;
+    this.syncEstimateFromSlider();
+
+    const feedback = document.getElementById('estimate-feedback');
+    feedback.style.display = 'none';
+    feedback.className = 'guess-feedback';
+    this.setEstimateInputsDisabled(false);
+  },
+
+  /**
+   * Fill the estimate input with the slider's amount
+   */
+  syncEstimateFromSlider() {
+    const position = Number(document.getElementById('estimate-slider').value);
+    document.getElementById('estimate-input').value = this.formatAmount(Valuation.sliderToAmount(position));
+  },
+
+  /**
+   * Move the estimate slider to a typed amount (left alone while the text isn't an amount)
+   */
+  syncEstimateFromInput() {
+    const amount = Valuation.parseEstimate(document.getElementById('estimate-input').value);
+    if (amount !== null) {
+      document.getElementById('estimate-slider').value = Valuation.amountToSlider(amount);
+    }
+  },
+
+  /**
+   * Enable or disable the estimate controls
+   * @param {boolean} disabled - True while an answer is shown
+   */
+  setEstimateInputsDisabled(disabled) {
+    ['estimate-slider', 'estimate-input', 'submit-estimate-btn'].forEach(id => {
+      document.getElementById(id).disabled = disabled;
+    });
+  },
+
+  /**
+   * Show a message for an estimate that can't be read
+   * @param {string} message - Message text
+   */
+  showEstimateError(message) {
+    const feedback = document.getElementById('estimate-feedback');
+    feedback.className = 'guess-feedback incorrect';
+    feedback.textContent = message;
+    feedback.style.display = 'block';
+  },
+
+  /**
+   * Format a dollar amount
+   * @param {number} amount - Amount in dollars
+   * @returns {string} Text like "$250,000"
+   */
+  formatAmount(amount) {
+    return Cards.formatValue({ amount, currency: 'USD', qualifier: 'exact' });
+  },
+
+  /**
+   * Describe how far off an estimate was
+   * @param {Object} error - { ratio, direction } from Valuation.getEstimateError
+   * @returns {string} Text like "38% too high", "2.5× too low" or "Spot on"
+   */
+  describeEstimateError({ ratio, direction }) {
+    if (!direction) return 'Spot on';
+    if (ratio >= 2) return `${ratio.toFixed(1)}× too ${direction}`;
+    // Percent of the real value, so 50% too low is half of it
+    const percent = Math.round((direction === 'high' ? ratio - 1 : 1 - 1 / ratio) * 100);
+    return `${percent}% too ${direction}`;
+  },
+
+  /**
+   * Get the class for a round's points
+   * @param {number} points - Points earned (0 to 1)
+   * @returns {string} 'correct', 'partial' or 'incorrect'
+   */
+  getPointsClass(points) {
+    if (points === 1) return 'correct';
+    return points > 0 ? 'partial' : 'incorrect';
+  },
+
   /**
    * Update valuation counters
    * @param {number} round - Current round (1-5)
@@ -397,9 +869,11 @@ const UI = {
     const { isCorrect, correctAnswer, cards } = result;
 
     // Add visual feedback based on mode
-    if (result.cards.length === 3) {
-      // 3-card mode
-      this.reveal3CardAnswer(result);
+    if (result.mode === 'estimate') {
+      this.revealEstimateAnswer(result);
+    } else if (result.order) {
+      // Sort modes
+      this.revealSortAnswer(result);
     } else if (result.cards.length === 2) {
       // 2-card mode
       this.reveal2CardAnswer(result);
@@ -410,11 +884,10 @@ const UI = {
   },
 
   /**
-   * Reveal 3-card answer
+   * Reveal sort answer
    */
-  reveal3CardAnswer(result) {
-    const { isCorrect, correctAnswer, cards } = result;
-    const sortedCards = Cards.sortByValue(cards, true);
+  revealSortAnswer(result) {
+    const { correctAnswer, cards, points, order } = result;
 
     // Show correct/incorrect on slots
     document.querySelectorAll('.position-slot').forEach((slot, index) => {
@@ -428,10 +901,36 @@ const UI = {
         const card = cards.find(c => c.id === cardId);
         const valueReveal = document.createElement('div');
         valueReveal.className = 'value-reveal';
-        valueReveal.textContent = card.estimatedValue;
+        valueReveal.textContent = Cards.formatValue(card.estimatedValue);
         slotCard.appendChild(valueReveal);
       }
     });
+
+    const feedback = document.getElementById('sort-feedback');
+    const { correctPairs, totalPairs } = order;
+    feedback.className = `guess-feedback ${this.getPointsClass(points)}`;
+    Dom.setContent(feedback, [
+      Dom.create('strong', {
+        text: correctPairs === totalPairs ? 'Perfect order! +1 pt' : `${correctPairs}/${totalPairs} pairs in order • +${points} pts`
+      }),
+      ...this.describeSwappedPairs(order.swappedPairs, result.userAnswer, cards).map(text => Dom.create('div', { text }))
+    ]);
+    feedback.style.display = 'block';
+  },
+
+  /**
+   * Describe the pairs a sort got the wrong way round
+   * @param {Array} swappedPairs - [higher card ID, lower card ID] pairs (from Valuation.scoreOrder)
+   * @param {Array} placements - Card IDs as placed, most valuable first
+   * @param {Array} cards - The round's cards
+   * @returns {Array} Lines like "#3 1952 Mickey Mantle ($12,000,000) belongs above #1 1933 Babe Ruth ($500,000)"
+   */
+  describeSwappedPairs(swappedPairs, placements, cards) {
+    const describe = id => {
+      const card = cards.find(c => c.id === id);
+      return `#${placements.indexOf(id) + 1} ${card.year} ${card.playerName} (${Cards.formatValue(card.estimatedValue)})`;
+    };
+    return swappedPairs.map(([higher, lower]) => `${describe(higher)} belongs above ${describe(lower)}`);
   },
 
   /**
@@ -451,10 +950,10 @@ const UI = {
         cardEl.classList.add('answer-incorrect');
       }
 
-      // Add value reveal
+      // Add value reveal (the round's year value in as-of-year mode)
       const valueReveal = document.createElement('div');
       valueReveal.className = 'value-reveal';
-      valueReveal.textContent = card.estimatedValue;
+      valueReveal.textContent = Cards.formatValue(Valuation.getCardValue(card, result.year));
       cardEl.appendChild(valueReveal);
     });
   },
@@ -476,6 +975,27 @@ const UI = {
     });
   },
 
+  /**
+   * Reveal estimate answer
+   */
+  revealEstimateAnswer(result) {
+    const { correctAnswer, userAnswer, points, error } = result;
+    const resultClass = this.getPointsClass(points);
+
+    const cardEl = document.querySelector('#estimate-card-area .valuation-card');
+    cardEl.classList.add(`answer-${resultClass}`);
+    cardEl.appendChild(Dom.create('div', { className: 'value-reveal', text: correctAnswer }));
+
+    const feedback = document.getElementById('estimate-feedback');
+    feedback.className = `guess-feedback ${resultClass}`;
+    Dom.setContent(feedback, [
+      Dom.create('strong', { text: `${this.describeEstimateError(error)} • +${points} pts` }),
+      `You guessed ${this.formatAmount(userAnswer)}, it's worth ${correctAnswer}`
+    ]);
+    feedback.style.display = 'block';
+    this.setEstimateInputsDisabled(true);
+  },
+
   /**
    * Show valuation results screen
    * @param {Object} data - Results data
@@ -485,6 +1005,8 @@ const UI = {
 
     // Update score
     document.getElementById('valuation-final-score').textContent = `${score}/${total}`;
+    document.getElementById('valuation-final-score-unit').textContent =
+      mode === 'estimate' || Valuation.isSortMode(mode) ? 'points' : 'correct';
 
     // Show/hide new record badge
     const newRecordBadge = document.getElementById('valuation-new-record');
@@ -501,17 +1023,37 @@ const UI = {
       const roundLabel = document.createElement('div');
       roundLabel.className = 'round-label';
       roundLabel.textContent = `Round ${round.round}: ${round.isCorrect ? '✓ Correct' : '✗ Incorrect'}`;
+      const marks = { correct: '✓', partial: '◐', incorrect: '✗' };
+      const resultClass = this.getPointsClass(round.points);
+      if (round.error) {
+        roundDiv.className = `round-summary-item ${resultClass}`;
+        roundLabel.textContent = `Round ${round.round}: ${marks[resultClass]} ${this.describeEstimateError(round.error)} (+${round.points})`;
+      } else if (round.order) {
+        const { correctPairs, totalPairs } = round.order;
+        roundDiv.className = `round-summary-item ${resultClass}`;
+        roundLabel.textContent = `Round ${round.round}: ${marks[resultClass]} ${correctPairs}/${totalPairs} pairs in order (+${round.points})`;
+      }
+      if (round.year) {
+        roundLabel.textContent += ` (${round.year} values)`;
+      }
 
       const cardsInfo = document.createElement('div');
       cardsInfo.className = 'round-cards';
       round.cards.forEach(card => {
         const cardSpan = document.createElement('span');
-        cardSpan.textContent = `${Cards.formatCardNamePlain(card)} - ${card.estimatedValue}`;
+        cardSpan.textContent = `${Cards.formatCardNamePlain(card)} - ${Cards.formatValue(Valuation.getCardValue(card, round.year))}`;
+        if (round.error) {
+          cardSpan.textContent += ` • You guessed ${this.formatAmount(round.userAnswer)}`;
+        }
         cardsInfo.appendChild(cardSpan);
       });
 
       roundDiv.appendChild(roundLabel);
       roundDiv.appendChild(cardsInfo);
+      if (round.order?.swappedPairs.length) {
+        const swaps = this.describeSwappedPairs(round.order.swappedPairs, round.userAnswer, round.cards);
+        roundDiv.appendChild(Dom.create('div', { className: 'round-swaps', text: `Swapped: ${swaps.join('; ')}` }));
+      }
       summaryList.appendChild(roundDiv);
     });
 
@@ -520,10 +1062,11 @@ const UI = {
 
   /**
    * Update valuation high scores display
+   * @param {string|null} filterKey - Show scores for a filter (from Filters.getKey)
    */
-  updateValuationHighScores() {
-    ['3-card', '2-card', '1-card'].forEach(mode => {
-      const score = HighScores.get('valuation', mode);
+  updateValuationHighScores(filterKey = null) {
+    Valuation.modes.forEach(mode => {
+      const score = HighScores.get('valuation', Valuation.getHighScoreKey(mode), filterKey);
       const element = document.getElementById(`high-score-${mode}`);
       if (element) {
         element.textContent = score ? `${score}/5` : '--';
@@ -547,21 +1090,20 @@ const UI = {
    * @param {Object} roundData - Round data with card and blur amount
    */
   renderGuessRound(roundData) {
-    const { card, round, blurAmount, attemptsRemaining } = roundData;
+    const { card, round, reveal, attemptsRemaining, attempts } = roundData;
 
     const cardImage = document.getElementById('guess-card-image');
 
     // Hide image during transition to prevent flash
     cardImage.style.opacity = '0';
 
-    // Remove revealed class and set blur BEFORE loading image
+    // Remove revealed class and obscure the card BEFORE loading image
     cardImage.classList.remove('revealed');
-    cardImage.style.filter = `blur(${blurAmount}px)`;
-
-    const newImageSrc = `images/cards/${card.imageFile}`;
+    const newImageSrc = Cards.getImagePath(card);
+    this.updateCardReveal(reveal, newImageSrc);
 
     // If it's the same image, just show it
-    if (cardImage.src.endsWith(card.imageFile)) {
+    if (cardImage.src.endsWith(newImageSrc)) {
       cardImage.style.opacity = '1';
     } else {
       // Preload the image completely before swapping src
@@ -584,12 +1126,23 @@ const UI = {
     // Update counters
     this.updateGuessCounters(round, Guess.state.totalPoints);
 
-    // Reset attempts indicator
-    this.updateAttemptsIndicator(attemptsRemaining);
+    // Reset attempts indicator, hints and Junior choices
+    this.updateAttemptsIndicator(attemptsRemaining, attempts);
+    this.renderGuessHints(Guess.getHints());
+    this.renderGuessChoices(roundData.choices);
 
-    // Clear input fields
+    // Clear input fields, showing the game's extra fields
     document.getElementById('year-input').value = '';
     document.getElementById('player-name-input').value = '';
+    this.hideNameSuggestions();
+    const { fields } = Guess.state.mode;
+    document.querySelectorAll('[data-guess-field]').forEach(input => {
+      input.value = '';
+      input.closest('.input-group').hidden = !fields.includes(input.dataset.guessField);
+    });
+    document.getElementById('guess-instruction').textContent = fields.length > 0
+      ? `What year and who is this player? Name the ${fields.map(id => Guess.getField(id).name.toLowerCase()).join(' and ')} too.`
+      : 'What year and who is this player?';
 
     // Clear and hide feedback
     const feedback = document.getElementById('guess-feedback');
@@ -604,22 +1157,37 @@ const UI = {
   },
 
   /**
-   * Update round and points counters
-   * @param {number} round - Current round (1-5)
+   * Update round and points counters (plus lives and streak in survival)
+   * @param {number} round - Current round (1-5, or the card number in survival)
    * @param {number} points - Total points
    */
   updateGuessCounters(round, points) {
-    document.getElementById('guess-round-counter').textContent = `${round}/5`;
+    const { mode, livesRemaining, streak } = Guess.state;
+    const isSurvival = mode.lives !== null;
+    document.getElementById('guess-round-counter').textContent = isSurvival ? round : `${round}/5`;
     document.getElementById('guess-points-counter').textContent = points;
+
+    document.getElementById('guess-lives-display').style.display = isSurvival ? 'flex' : 'none';
+    document.getElementById('guess-streak-display').style.display = isSurvival ? 'flex' : 'none';
+    if (isSurvival) {
+      document.getElementById('guess-lives-counter').textContent =
+        '♥'.repeat(livesRemaining) + '♡'.repeat(mode.lives - livesRemaining);
+      document.getElementById('guess-streak-counter').textContent = streak;
+    }
   },
 
   /**
    * Update attempts indicator dots
-   * @param {number} remaining - Attempts remaining (0-3)
+   * @param {number} remaining - Attempts remaining
+   * @param {number} total - Attempts per card (rebuilds the dots when it changes)
    */
-  updateAttemptsIndicator(remaining) {
-    const dots = document.querySelectorAll('.attempt-dot');
-    dots.forEach((dot, index) => {
+  updateAttemptsIndicator(remaining, total = Guess.state.roundAttempts) {
+    const indicator = document.getElementById('attempts-indicator');
+    if (indicator.children.length !== total) {
+      Dom.setContent(indicator, Array.from({ length: total }, () => Dom.create('span', { className: 'attempt-dot' })));
+    }
+
+    Array.from(indicator.children).forEach((dot, index) => {
       if (index < remaining) {
         dot.classList.add('active');
         dot.classList.remove('used');
@@ -631,21 +1199,166 @@ const UI = {
   },
 
   /**
-   * Update card blur amount
-   * @param {number} blurAmount - Blur amount in pixels
+   * Show the Junior choices in place of the typed inputs (or the inputs when there are no choices)
+   * Answered parts show the answer, and wrong picks can't be chosen again
+   * @param {Object|null} choices - { names, years, wrongNames, wrongYears } from Guess.state
+   */
+  renderGuessChoices(choices) {
+    document.getElementById('guess-typed-inputs').hidden = choices !== null;
+    document.getElementById('guess-choices').hidden = choices === null;
+    if (!choices) return;
+
+    const { currentCard, nameCorrect, yearCorrect, awaitingNextRound } = Guess.state;
+    const renderGroup = (id, type, values, wrongValues, answer, isAnswered) => {
+      Dom.setContent(document.getElementById(id), values.map(value => {
+        const isWrong = wrongValues.includes(value);
+        const showAnswer = (isAnswered || awaitingNextRound) && value === answer;
+        return Dom.create('button', {
+          className: `choice-btn${showAnswer ? ' correct' : ''}${isWrong ? ' wrong' : ''}`,
+          text: value,
+          dataset: { choiceType: type, value },
+          disabled: isAnswered || isWrong || awaitingNextRound
+        });
+      }));
+    };
+
+    renderGroup('guess-year-choices', 'year', choices.years, choices.wrongYears, currentCard.year, yearCorrect);
+    renderGroup('guess-name-choices', 'name', choices.names, choices.wrongNames, currentCard.playerName, nameCorrect);
+  },
+
+  /**
+   * Mark a Junior choice as picked (one per group)
+   * @param {HTMLElement} button - Choice button
+   */
+  selectGuessChoice(button) {
+    button.parentElement.querySelectorAll('.choice-btn').forEach(choice => {
+      choice.classList.toggle('selected', choice === button);
+    });
+  },
+
+  /**
+   * Get the picked Junior choice in a group
+   * @param {string} type - 'name' or 'year'
+   * @returns {string} Picked value (empty if none)
+   */
+  getGuessChoice(type) {
+    return document.querySelector(`.choice-btn.selected[data-choice-type="${type}"]`)?.dataset.value ?? '';
+  },
+
+  /**
+   * Show the round's hints: clues already bought, then buttons for the rest
+   * @param {Array} hints - Hints from Guess.getHints
    */
-  updateCardBlur(blurAmount) {
+  renderGuessHints(hints) {
+    const bought = hints.filter(hint => hint.isUsed);
+    const offered = hints.filter(hint => !hint.isUsed);
+
+    Dom.setContent(document.getElementById('guess-hints'), [
+      bought.length > 0 && Dom.create('ul', { className: 'hint-list' }, bought.map(hint =>
+        Dom.create('li', {}, [Dom.create('strong', { text: `${hint.name}: ` }), hint.text])
+      )),
+      offered.length > 0 && Dom.create('p', { className: 'hint-heading', text: 'Stuck? Hints cost a share of the points left this round:' }),
+      offered.length > 0 && Dom.create('div', { className: 'hint-buttons' }, offered.map(hint =>
+        Dom.create('button', {
+          className: 'hint-btn',
+          text: `${hint.name} (−${hint.cost}%)`,
+          dataset: { hint: hint.id },
+          disabled: !hint.isAvailable
+        })
+      ))
+    ]);
+  },
+
+  /**
+   * Obscure the guess card for the current attempt
+   * @param {Object} reveal - { style, level, tiles } from Guess.getReveal (level null shows the card clear)
+   * @param {string} imageSrc - Card image (defaults to the one showing)
+   */
+  updateCardReveal(reveal, imageSrc = document.getElementById('guess-card-image').src) {
     const cardImage = document.getElementById('guess-card-image');
-    cardImage.style.filter = `blur(${blurAmount}px)`;
+    const canvas = document.getElementById('guess-pixel-canvas');
+    const mosaic = document.getElementById('guess-mosaic');
+    const nameBar = document.getElementById('guess-name-bar');
+    const { style, level } = reveal;
+
+    // Clear every style's effect, then apply the current one
+    cardImage.style.filter = 'none';
+    cardImage.style.transform = '';
+    cardImage.style.visibility = '';
+    canvas.hidden = true;
+    canvas.dataset.src = '';
+    mosaic.hidden = true;
+    nameBar.hidden = true;
+    if (level === null) return;
+
+    switch (style) {
+      case 'blur':
+        cardImage.style.filter = `blur(${level}px)`;
+        break;
+      case 'pixelate':
+        cardImage.style.visibility = 'hidden';
+        this.drawPixelated(canvas, imageSrc, Math.round(level));
+        break;
+      case 'mosaic':
+        this.renderMosaic(mosaic, reveal.tiles);
+        break;
+      case 'zoom':
+        cardImage.style.transform = `scale(${level})`;
+        break;
+      case 'silhouette':
+        cardImage.style.filter = `grayscale(1) contrast(${level})`;
+        break;
+      case 'name-bar':
+        nameBar.style.height = `${level * 100}%`;
+        nameBar.hidden = false;
+        break;
+    }
+  },
+
+  /**
+   * Draw a card at a few pixels across, scaled up with hard edges by CSS
+   * @param {HTMLCanvasElement} canvas - Canvas laid over the card image
+   * @param {string} imageSrc - Card image
+   * @param {number} pixelsAcross - Pixels across the card
+   */
+  drawPixelated(canvas, imageSrc, pixelsAcross) {
+    const token = `${imageSrc}#${pixelsAcross}`;
+    canvas.dataset.src = token;
+
+    const image = new Image();
+    image.onload = () => {
+      // A newer attempt or round has replaced this one
+      if (canvas.dataset.src !== token) return;
+
+      canvas.width = pixelsAcross;
+      canvas.height = Math.max(1, Math.round(pixelsAcross * image.naturalHeight / image.naturalWidth));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.hidden = false;
+    };
+    image.src = imageSrc;
   },
 
   /**
-   * Reveal card (remove blur)
+   * Cover the card with tiles, leaving some uncovered
+   * @param {HTMLElement} mosaic - Tile layer laid over the card image
+   * @param {Object} tiles - { columns, rows, uncovered } from Guess.getReveal
+   */
+  renderMosaic(mosaic, { columns, rows, uncovered }) {
+    const open = new Set(uncovered);
+    mosaic.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+    mosaic.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+    Dom.setContent(mosaic, Array.from({ length: columns * rows }, (_, index) =>
+      Dom.create('span', { className: `mosaic-tile${open.has(index) ? ' uncovered' : ''}` })
+    ));
+    mosaic.hidden = false;
+  },
+
+  /**
+   * Reveal card (remove every obscuring effect)
    */
   revealCard() {
-    const cardImage = document.getElementById('guess-card-image');
-    cardImage.style.filter = 'blur(0px)';
-    cardImage.classList.add('revealed');
+    this.updateCardReveal({ style: Guess.state.mode.style, level: null });
+    document.getElementById('guess-card-image').classList.add('revealed');
   },
 
   /**
@@ -657,77 +1370,190 @@ const UI = {
     const {
       nameMatch,
       yearMatch,
+      yearOffBy,
       nameCorrect,
       yearCorrect,
       namePointsThisAttempt,
       yearPointsThisAttempt,
+      fieldResults,
+      allCorrect,
       attemptsRemaining,
       correctAnswer,
       isRoundOver
     } = result;
 
     feedback.style.display = 'block';
+    const attemptsLeft = `${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining`;
+    // How far off a wrong year was, so every attempt narrows it down
+    const yearHint = yearOffBy !== null && !yearMatch
+      ? this.describeYearMiss(yearOffBy, yearPointsThisAttempt)
+      : '';
+    const withHint = text => (yearHint ? `${yearHint} • ${text}` : text);
+    const missType = yearPointsThisAttempt > 0 ? 'partial' : 'incorrect';
+    const fieldsText = this.describeFieldResults(fieldResults, correctAnswer, isRoundOver);
+
+    // Name and year were already in - this attempt was for the extra fields
+    if (!nameMatch && !yearMatch && nameCorrect && yearCorrect) {
+      const fieldPoints = fieldResults.reduce((total, field) => total + field.pointsThisAttempt, 0);
+      if (allCorrect) {
+        this.setGuessFeedback('correct', '✓ All Correct!', fieldsText);
+      } else {
+        this.setGuessFeedback(fieldPoints > 0 ? 'partial' : 'incorrect',
+          isRoundOver ? '✗ Out of attempts' : '✗ Not quite',
+          isRoundOver ? fieldsText : `${fieldsText} • ${attemptsLeft}`);
+      }
+      return;
+    }
 
     // Both correct this attempt
     if (nameMatch && yearMatch) {
       const totalPts = namePointsThisAttempt + yearPointsThisAttempt;
-      feedback.className = 'guess-feedback correct';
-      feedback.innerHTML = `
-        <strong>✓ Both Correct!</strong><br>
-        +${totalPts} point${totalPts !== 1 ? 's' : ''} (Name: ${namePointsThisAttempt}, Year: ${yearPointsThisAttempt})
-      `;
+      this.setGuessFeedback('correct', '✓ Both Correct!',
+        `+${totalPts} point${totalPts !== 1 ? 's' : ''} (Name: ${namePointsThisAttempt}, Year: ${yearPointsThisAttempt})`);
     }
     // Name only correct this attempt
     else if (nameMatch && !yearMatch) {
-      feedback.className = 'guess-feedback partial';
-      feedback.innerHTML = `
-        <strong>✓ Name Correct!</strong><br>
-        +${namePointsThisAttempt} point${namePointsThisAttempt !== 1 ? 's' : ''} - Now get the year!
-      `;
+      const namePoints = `+${namePointsThisAttempt} point${namePointsThisAttempt !== 1 ? 's' : ''}`;
+      this.setGuessFeedback('partial', '✓ Name Correct!',
+        isRoundOver && !yearCorrect
+          ? `${namePoints} - ${withHint(`The year was ${correctAnswer.year}`)}`
+          : `${namePoints} - ${yearHint || 'Now get the year!'}`);
     }
     // Year only correct this attempt
     else if (!nameMatch && yearMatch) {
-      feedback.className = 'guess-feedback partial';
-      feedback.innerHTML = `
-        <strong>✓ Year Correct!</strong><br>
-        +${yearPointsThisAttempt} point${yearPointsThisAttempt !== 1 ? 's' : ''} - Now get the name!
-      `;
+      this.setGuessFeedback('partial', '✓ Year Correct!',
+        `+${yearPointsThisAttempt} point${yearPointsThisAttempt !== 1 ? 's' : ''} - Now get the name!`);
     }
     // Round over (out of attempts)
     else if (isRoundOver) {
-      feedback.className = 'guess-feedback incorrect';
-      const missing = [];
-      if (!nameCorrect) missing.push('Name');
-      if (!yearCorrect) missing.push('Year');
-      feedback.innerHTML = `
-        <strong>✗ Out of attempts</strong><br>
-        Answer: ${correctAnswer.playerName} (${correctAnswer.year})
-      `;
+      this.setGuessFeedback(missType, '✗ Out of attempts',
+        withHint(`Answer: ${correctAnswer.playerName} (${correctAnswer.year})`));
     }
     // Already have name, need year
     else if (nameCorrect && !yearCorrect) {
-      feedback.className = 'guess-feedback incorrect';
-      feedback.innerHTML = `
-        <strong>✗ Wrong year</strong><br>
-        ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining
-      `;
+      this.setGuessFeedback(missType, '✗ Wrong year', withHint(attemptsLeft));
     }
     // Already have year, need name
     else if (yearCorrect && !nameCorrect) {
-      feedback.className = 'guess-feedback incorrect';
-      feedback.innerHTML = `
-        <strong>✗ Wrong name</strong><br>
-        ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining
-      `;
+      this.setGuessFeedback('incorrect', '✗ Wrong name', attemptsLeft);
     }
     // Both wrong
     else {
-      feedback.className = 'guess-feedback incorrect';
-      feedback.innerHTML = `
-        <strong>✗ Both incorrect</strong><br>
-        ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining
-      `;
+      this.setGuessFeedback(missType, '✗ Both incorrect', withHint(attemptsLeft));
+    }
+
+    if (fieldsText) {
+      Dom.append(feedback, [Dom.create('br'), fieldsText]);
+    }
+    if (isRoundOver && result.livesRemaining !== null) {
+      Dom.append(feedback, [Dom.create('br'), this.describeSurvivalRound(result)]);
+    }
+  },
+
+  /**
+   * Describe how a survival round went
+   * @param {Object} result - Guess result for the round's last attempt
+   * @returns {string} Text like "Streak: 4" or "Card missed - 2 lives left"
+   */
+  describeSurvivalRound({ nameCorrect, livesRemaining, streak, isHarder }) {
+    if (!nameCorrect) {
+      return livesRemaining > 0
+        ? `Card missed - ${livesRemaining} ${livesRemaining !== 1 ? 'lives' : 'life'} left`
+        : 'Card missed - out of lives';
+    }
+    return isHarder ? `Streak: ${streak} • The cards get harder!` : `Streak: ${streak}`;
+  },
+
+  /**
+   * Describe this attempt's extra field guesses
+   * @param {Array} fieldResults - { id, match, pointsThisAttempt, correct } from the guess result
+   * @param {Object} correctAnswer - The card's answers (shown for fields still wrong once the round is over)
+   * @param {boolean} isRoundOver - Whether the round just ended
+   * @returns {string} Text like "Card Set ✓ +3 • Team close +1" (empty without extra fields)
+   */
+  describeFieldResults(fieldResults, correctAnswer, isRoundOver) {
+    return fieldResults
+      .filter(field => field.match !== null) // Answered on an earlier attempt
+      .map(field => {
+        const { name } = Guess.getField(field.id);
+        const points = field.pointsThisAttempt > 0 ? ` +${field.pointsThisAttempt}` : '';
+        if (field.correct) return `${name} ✓${points}`;
+
+        const status = `${name} ${field.match === 'partial' ? `close${points}` : '✗'}`;
+        return isRoundOver ? `${status} (${correctAnswer[field.id]})` : status;
+      })
+      .join(' • ');
+  },
+
+  /**
+   * Describe a wrong year guess
+   * @param {number} offBy - Guess minus the card's year (negative for too early)
+   * @param {number} points - Points the guess added (0 for none)
+   * @returns {string} Text like "Year too late by 1 year (+2 points for a close guess)"
+   */
+  describeYearMiss(offBy, points = 0) {
+    const years = Math.abs(offBy);
+    const hint = `Year too ${offBy < 0 ? 'early' : 'late'} by ${years} year${years !== 1 ? 's' : ''}`;
+    return points > 0 ? `${hint} (+${points} point${points !== 1 ? 's' : ''} for a close guess)` : hint;
+  },
+
+  /**
+   * Set the guess feedback message
+   * @param {string} type - 'correct', 'partial', or 'incorrect'
+   * @param {string} heading - Bold first line
+   * @param {string} detail - Second line (optional)
+   */
+  setGuessFeedback(type, heading, detail = '') {
+    const feedback = document.getElementById('guess-feedback');
+    feedback.className = `guess-feedback ${type}`;
+    Dom.setContent(feedback, [
+      Dom.create('strong', { text: heading }),
+      detail && Dom.create('br'),
+      detail
+    ]);
+  },
+
+  /**
+   * Show player name suggestions under the name input
+   * @param {Array} names - Suggested names (an empty list hides the dropdown)
+   * @param {number} activeIndex - Highlighted suggestion (-1 for none)
+   */
+  renderNameSuggestions(names, activeIndex = -1) {
+    if (names.length === 0) {
+      this.hideNameSuggestions();
+      return;
     }
+
+    const list = document.getElementById('player-name-suggestions');
+    Dom.setContent(list, names.map((name, index) => Dom.create('li', {
+      className: `name-suggestion${index === activeIndex ? ' active' : ''}`,
+      id: `player-name-suggestion-${index}`,
+      text: name,
+      dataset: { name },
+      attrs: { role: 'option', 'aria-selected': String(index === activeIndex) }
+    })));
+    list.hidden = false;
+
+    const input = document.getElementById('player-name-input');
+    input.setAttribute('aria-expanded', 'true');
+    if (activeIndex >= 0) {
+      input.setAttribute('aria-activedescendant', `player-name-suggestion-${activeIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  },
+
+  /**
+   * Hide the player name suggestions
+   */
+  hideNameSuggestions() {
+    const list = document.getElementById('player-name-suggestions');
+    list.hidden = true;
+    list.textContent = '';
+
+    const input = document.getElementById('player-name-input');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
   },
 
   /**
@@ -735,22 +1561,35 @@ const UI = {
    * @param {Object} data - Results data
    */
   showGuessResults(data) {
-    const { totalPoints, maxPoints, roundHistory, isNewRecord } = data;
+    const { totalPoints, maxPoints, roundHistory, mode, hintsUsed, bestStreak, isNewRecord } = data;
+    const isSurvival = mode.lives !== null;
+    const hintsLabel = hintsUsed > 0 ? `${hintsUsed} hint${hintsUsed !== 1 ? 's' : ''} used` : 'No hints';
+    document.getElementById('guess-mode-label').textContent = `${Guess.getModeLabel(mode)} • ${hintsLabel}`;
+
+    const survivalSummary = document.getElementById('guess-survival-summary');
+    survivalSummary.style.display = isSurvival ? 'block' : 'none';
+    if (isSurvival) {
+      survivalSummary.textContent =
+        `Best streak: ${bestStreak} • ${roundHistory.length} card${roundHistory.length !== 1 ? 's' : ''} played`;
+    }
 
-    // Update trophy based on score (out of 30)
+    // Update trophy based on score (26, 20 and 14 out of 30, scaled to the maximum),
+    // or on the best streak in survival (15, 10 and 5 cards)
     const trophy = document.getElementById('guess-trophy');
-    if (totalPoints >= 26) {
+    const score = isSurvival ? bestStreak : totalPoints;
+    const [gold, silver, bronze] = isSurvival ? [15, 10, 5] : [26, 20, 14].map(points => (points * maxPoints) / 30);
+    if (score >= gold) {
       trophy.textContent = '🏆';
-    } else if (totalPoints >= 20) {
+    } else if (score >= silver) {
       trophy.textContent = '🥈';
-    } else if (totalPoints >= 14) {
+    } else if (score >= bronze) {
       trophy.textContent = '🥉';
     } else {
       trophy.textContent = '🎯';
     }
 
-    // Update score
-    document.getElementById('guess-final-score').textContent = `${totalPoints}/${maxPoints}`;
+    // Update score (survival has no maximum)
+    document.getElementById('guess-final-score').textContent = isSurvival ? totalPoints : `${totalPoints}/${maxPoints}`;
 
     // Show/hide new record badge
     const newRecordBadge = document.getElementById('guess-new-record');
@@ -760,11 +1599,13 @@ const UI = {
     const summaryList = document.getElementById('guess-round-summary-list');
     summaryList.innerHTML = '';
 
+    const maxRoundPoints = Guess.getMaxRoundPoints(mode);
     roundHistory.forEach(round => {
       const roundDiv = document.createElement('div');
-      const bothCorrect = round.nameCorrect && round.yearCorrect;
-      const someCorrect = round.nameCorrect || round.yearCorrect;
-      roundDiv.className = `round-summary-item ${bothCorrect ? 'correct' : someCorrect ? 'partial' : 'incorrect'}`;
+      const fieldScores = mode.fields.map(id => ({ id, ...round.fieldScores?.[id] }));
+      const allCorrect = round.nameCorrect && round.yearCorrect && fieldScores.every(score => score.correct);
+      const someCorrect = round.nameCorrect || round.yearCorrect || round.totalPointsEarned > 0;
+      roundDiv.className = `round-summary-item ${allCorrect ? 'correct' : someCorrect ? 'partial' : 'incorrect'}`;
 
       const roundLabel = document.createElement('div');
       roundLabel.className = 'round-label';
@@ -772,33 +1613,847 @@ const UI = {
       // Build status text with breakdown
       let status;
       if (round.totalPointsEarned > 0) {
-        const breakdown = `Name: ${round.namePointsEarned}, Year: ${round.yearPointsEarned}`;
-        status = `${bothCorrect ? '✓' : '◐'} +${round.totalPointsEarned} pts (${breakdown})`;
+        const breakdown = [
+          `Name: ${round.namePointsEarned}`,
+          `Year: ${round.yearPointsEarned}`,
+          ...fieldScores.map(score => `${Guess.getField(score.id).name}: ${score.pointsEarned ?? 0}`)
+        ].join(', ');
+        status = `${allCorrect ? '✓' : '◐'} +${round.totalPointsEarned}/${maxRoundPoints} pts (${breakdown})`;
       } else {
         status = '✗ 0 points';
       }
+      if (isSurvival && !round.nameCorrect) {
+        status += ' • Life lost';
+      }
       roundLabel.textContent = `Round ${round.round}: ${status}`;
 
       const cardInfo = document.createElement('div');
       cardInfo.className = 'round-cards';
-      cardInfo.textContent = `${round.card.playerName} (${round.card.year})`;
+      cardInfo.textContent = [
+        `${round.card.playerName} (${round.card.year})`,
+        ...mode.fields.map(id => round.card[id])
+      ].join(' • ');
 
       roundDiv.appendChild(roundLabel);
       roundDiv.appendChild(cardInfo);
+
+      // Hints bought, so scores with and without them can be told apart
+      if (round.hintsUsed?.length > 0) {
+        const names = round.hintsUsed.map(id => Guess.hints.find(hint => hint.id === id)?.name ?? id);
+        roundDiv.appendChild(Dom.create('div', { className: 'round-hints', text: `Hints: ${names.join(', ')}` }));
+      }
+
+      // Each year guess and how far off it was
+      if (round.yearGuesses?.length > 0) {
+        roundDiv.appendChild(Dom.create('div', {
+          className: 'round-year-guesses',
+          text: `Year guesses: ${round.yearGuesses.map(guess => this.formatYearGuess(guess)).join(', ')}`
+        }));
+      }
       summaryList.appendChild(roundDiv);
     });
 
     this.showScreen('guess-results');
   },
 
+  /**
+   * Format a year guess for the round summary
+   * @param {Object} guess - { year, offBy } from the round history
+   * @returns {string} Text like "1910 (1 late)" or "1909 (exact)"
+   */
+  formatYearGuess({ year, offBy }) {
+    if (offBy === null) return '?';
+    if (offBy === 0) return `${year} (exact)`;
+    return `${year} (${Math.abs(offBy)} ${offBy < 0 ? 'early' : 'late'})`;
+  },
+
   /**
    * Update guess high scores display on menu
+   * @param {string|null} filterKey - Show scores for a filter (from Filters.getKey)
    */
-  updateGuessHighScores() {
-    const score = HighScores.get('guess');
+  updateGuessHighScores(filterKey = null) {
+    const mode = Guess.getSelectedMode();
+    const modeKey = Guess.getModeKey(mode);
     const element = document.getElementById('high-score-guess');
-    if (element) {
-      element.textContent = score ? `${score}/30` : '--';
+    if (element && mode.lives !== null) {
+      // Survival keeps the best total and the best streak
+      const total = HighScores.get('guessSurvival', modeKey, filterKey);
+      const streak = HighScores.get('guessStreak', modeKey, filterKey);
+      element.textContent = total || streak ? `${total ?? 0} pts • Streak ${streak ?? 0}` : '--';
+    } else if (element) {
+      const score = HighScores.get('guess', modeKey, filterKey);
+      element.textContent = score ? `${score}/${Guess.getMaxPoints(mode)}` : '--';
+    }
+    document.getElementById('high-score-guess-label').textContent = `${Guess.getModeLabel(mode)}:`;
+  },
+
+  /**
+   * Fill in the reveal style and attempts pickers on the guess menu
+   * @param {Object} mode - { style, attempts, junior, fields, lives } chosen
+   */
+  renderGuessModeForm(mode) {
+    const fillSelect = (id, choices, selected) => {
+      Dom.setContent(document.getElementById(id), choices.map(choice => Dom.create('option', {
+        value: String(choice.id),
+        text: choice.name,
+        selected: choice.id === selected
+      })));
+    };
+
+    fillSelect('guess-style-select',
+      Object.entries(Guess.revealStyles).map(([id, style]) => ({ id, name: style.name })),
+      mode.style);
+    fillSelect('guess-attempts-select',
+      Guess.attemptOptions.map(count => ({ id: count, name: `${count} attempt${count !== 1 ? 's' : ''}` })),
+      mode.attempts);
+    // 0 is the 5-round game
+    fillSelect('guess-length-select', [
+      { id: 0, name: '5 rounds' },
+      ...Guess.survival.lifeOptions.map(lives => ({ id: lives, name: `Survival • ${lives} ${lives !== 1 ? 'lives' : 'life'}` }))
+    ], mode.lives ?? 0);
+
+    // Junior games stick to the name and year
+    Dom.setContent(document.getElementById('guess-field-toggles'), Guess.extraFields.map(field => Dom.create('label', {
+      className: 'toggle-switch guess-setting'
+    }, [
+      Dom.create('input', {
+        type: 'checkbox',
+        dataset: { field: field.id },
+        checked: mode.fields.includes(field.id),
+        disabled: mode.junior
+      }),
+      Dom.create('span', { className: 'toggle-slider' }),
+      Dom.create('span', { className: 'toggle-label', text: `Name the ${field.name.toLowerCase()} too` })
+    ])));
+
+    const scored = ['Name', 'Year', ...mode.fields.map(id => Guess.getField(id).name)];
+    document.getElementById('guess-junior-toggle').checked = mode.junior;
+    const length = mode.lives === null
+      ? '5 rounds'
+      : `Play until you miss ${mode.lives} card${mode.lives !== 1 ? 's' : ''}`;
+    const attempts = `${mode.attempts} attempt${mode.attempts !== 1 ? 's' : ''} per card${mode.lives !== null ? ', fewer as your streak grows' : ''}`;
+    document.getElementById('guess-attempts-info').textContent =
+      `${length} • ${attempts}${mode.junior ? ' • four choices each' : ''}`;
+    document.getElementById('guess-fields-info').textContent =
+      `${scored.slice(0, -1).join(', ')} & ${scored[scored.length - 1]} scored separately`;
+    document.getElementById('guess-max-info').textContent = mode.lives === null
+      ? `Maximum score: ${Guess.getMaxPoints(mode)} points`
+      : 'A card is missed when you don\'t name the player';
+  },
+
+  // ===== FILTER METHODS =====
+
+  /**
+   * Show the active filter under the deck picker
+   * @param {Object|null} filter - Active filter criteria
+   * @param {number} poolSize - Cards that pass the filter
+   */
+  updateFilterSummary(filter, poolSize) {
+    document.getElementById('filter-summary-text').textContent = filter
+      ? `${Filters.getLabel(filter)} (${poolSize} cards)`
+      : 'All cards';
+  },
+
+  /**
+   * Show or hide the filter banner on a game menu
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {Object|null} filter - Active filter criteria
+   * @param {number} poolSize - Cards that pass the filter
+   */
+  updateFilterBanner(gameType, filter, poolSize) {
+    const banner = document.getElementById(`filter-banner-${gameType}`);
+    banner.style.display = filter ? 'block' : 'none';
+    banner.textContent = filter
+      ? `Filtered: ${Filters.getLabel(filter)} • ${poolSize} cards • separate high scores`
+      : '';
+  },
+
+  /**
+   * Label a results screen as a filtered run
+   * @param {string} elementId - Filter label element ID
+   * @param {Object|null} filter - Filter the game was played with
+   */
+  showFilterLabel(elementId, filter) {
+    const label = document.getElementById(elementId);
+    label.style.display = filter ? 'block' : 'none';
+    label.textContent = filter ? `Filtered run: ${Filters.getLabel(filter)}` : '';
+  },
+
+  /**
+   * Build the filter form from the deck's cards and fill in the current filter
+   * @param {Object|null} filter - Active filter criteria
+   * @param {Array} cards - All cards in the deck
+   */
+  renderFilterForm(filter, cards) {
+    const criteria = filter || Filters.createEmpty();
+    const options = Filters.getOptions(cards);
+
+    const fillSelect = (id, anyLabel, choices, selected) => {
+      const select = document.getElementById(id);
+      select.innerHTML = '';
+      [{ id: '', name: anyLabel }, ...choices].forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.id;
+        option.textContent = choice.name;
+        option.selected = choice.id === selected;
+        select.appendChild(option);
+      });
+    };
+
+    const era = Filters.eras.find(e => e.yearMin === criteria.yearMin && e.yearMax === criteria.yearMax);
+    const isCustom = !era && (criteria.yearMin !== null || criteria.yearMax !== null);
+    fillSelect('filter-era', 'Any era', [
+      ...Filters.eras.map(e => ({ id: e.id, name: `${e.name} (${e.yearMin}–${e.yearMax})` })),
+      { id: 'custom', name: 'Custom years' }
+    ], era ? era.id : isCustom ? 'custom' : '');
+    document.getElementById('filter-year-min').value = criteria.yearMin ?? '';
+    document.getElementById('filter-year-max').value = criteria.yearMax ?? '';
+
+    fillSelect('filter-value-band', 'Any value', Filters.valueBands, criteria.valueBand ?? '');
+
+    const fillCheckboxes = (id, field, choices) => {
+      const container = document.getElementById(id);
+      container.innerHTML = '';
+      choices.forEach(choice => {
+        const label = document.createElement('label');
+        label.className = 'filter-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = choice;
+        checkbox.dataset.field = field;
+        checkbox.checked = criteria[field].includes(choice);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(choice));
+        container.appendChild(label);
+      });
+    };
+
+    fillCheckboxes('filter-graders', 'graders', options.graders);
+    fillCheckboxes('filter-positions', 'positions', options.positions);
+    fillCheckboxes('filter-teams', 'teams', options.teams);
+    fillCheckboxes('filter-card-sets', 'cardSets', options.cardSets);
+  },
+
+  /**
+   * Read filter criteria from the filter form
+   * @returns {Object} Filter criteria
+   */
+  readFilterForm() {
+    const criteria = Filters.createEmpty();
+
+    const toYear = id => {
+      const value = parseInt(document.getElementById(id).value, 10);
+      return Number.isInteger(value) ? value : null;
+    };
+    criteria.yearMin = toYear('filter-year-min');
+    criteria.yearMax = toYear('filter-year-max');
+    criteria.valueBand = document.getElementById('filter-value-band').value || null;
+
+    document.querySelectorAll('.filter-option input:checked').forEach(checkbox => {
+      criteria[checkbox.dataset.field].push(checkbox.value);
+    });
+
+    return criteria;
+  },
+
+  /**
+   * Fill the year range from the era picker
+   * @param {string} eraId - Era ID ('' for any, 'custom' to leave the years alone)
+   */
+  applyEraToForm(eraId) {
+    if (eraId === 'custom') return;
+
+    const era = Filters.eras.find(e => e.id === eraId);
+    document.getElementById('filter-year-min').value = era ? era.yearMin : '';
+    document.getElementById('filter-year-max').value = era ? era.yearMax : '';
+  },
+
+  /**
+   * Show how many cards the filter form matches
+   * @param {number} count - Matching cards
+   */
+  updateFilterMatchCount(count) {
+    document.getElementById('filter-match-count').textContent =
+      `${count} card${count !== 1 ? 's' : ''} match`;
+  },
+
+  // ===== CARD LIBRARY METHODS =====
+
+  /**
+   * Build the library's sort and facet pickers for the deck
+   * @param {Object} facetCounts - Counts from Library.getFacetCounts
+   */
+  renderLibraryControls(facetCounts) {
+    const fillSelect = (id, choices) => {
+      const select = document.getElementById(id);
+      select.innerHTML = '';
+      choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.id;
+        option.textContent = choice.name;
+        select.appendChild(option);
+      });
+    };
+
+    const facetChoices = (field, anyLabel) => [
+      { id: '', name: anyLabel },
+      ...Object.keys(facetCounts[field])
+        .sort((a, b) => a.localeCompare(b))
+        .map(value => ({ id: value, name: `${value} (${facetCounts[field][value]})` }))
+    ];
+
+    fillSelect('library-sort', Library.sortOptions);
+    fillSelect('library-facet-era', [
+      { id: '', name: 'Any era' },
+      ...Filters.eras.map(era => ({ id: era.id, name: era.name }))
+    ]);
+    fillSelect('library-facet-teams', facetChoices('teams', 'Any team'));
+    fillSelect('library-facet-positions', facetChoices('positions', 'Any position'));
+    fillSelect('library-facet-card-sets', facetChoices('cardSets', 'Any set'));
+    fillSelect('library-facet-graders', facetChoices('graders', 'Any grader'));
+
+    document.getElementById('library-search').value = '';
+    document.getElementById('library-deck-name').textContent =
+      `${Decks.get(Decks.getActiveId())?.name} • ${Cards.allCards.length} cards`;
+  },
+
+  /**
+   * Read the library's search, sort and facet pickers
+   * @returns {Object} { query, sortBy, filter } for Library.state
+   */
+  readLibraryControls() {
+    const filter = Filters.createEmpty();
+    document.querySelectorAll('.library-facet').forEach(select => {
+      const { facet } = select.dataset;
+      if (!select.value) return;
+
+      if (facet === 'era') {
+        const era = Filters.eras.find(e => e.id === select.value);
+        filter.yearMin = era.yearMin;
+        filter.yearMax = era.yearMax;
+      } else {
+        filter[facet] = [select.value];
+      }
+    });
+
+    return {
+      query: document.getElementById('library-search').value,
+      sortBy: document.getElementById('library-sort').value,
+      filter: Filters.isActive(filter) ? filter : null
+    };
+  },
+
+  /**
+   * Render the library card list
+   * @param {Array} cards - Cards to list, in order
+   * @param {number} total - Cards in the deck
+   */
+  renderLibraryList(cards, total) {
+    document.getElementById('library-count').textContent = cards.length === total
+      ? `${total} cards`
+      : `${cards.length} of ${total} cards`;
+
+    const list = document.getElementById('library-list');
+    list.innerHTML = '';
+
+    if (cards.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'library-empty';
+      empty.textContent = 'No cards match your search.';
+      list.appendChild(empty);
+      return;
+    }
+
+    cards.forEach(card => list.appendChild(this.createLibraryItem(card)));
+  },
+
+  /**
+   * Create a card row for the library and player page lists
+   * @param {Object} card - Card to show
+   * @returns {HTMLElement} Button that opens the card's details
+   */
+  createLibraryItem(card) {
+    return Dom.create('button', { className: 'library-item', dataset: { cardId: card.id } }, [
+      Dom.create('img', { src: Cards.getImagePath(card), alt: '', loading: 'lazy' }),
+      Dom.create('div', { className: 'library-item-info' }, [
+        Dom.create('span', { className: 'library-item-name', text: card.playerName }),
+        Dom.create('span', { className: 'library-item-set', text: `${card.year} ${card.cardSet} • ${card.grade}` }),
+        Dom.create('span', { className: 'library-item-value', text: Cards.formatValue(card.estimatedValue) })
+      ])
+    ]);
+  },
+
+  // ===== PLAYER PAGE METHODS =====
+
+  /**
+   * Render a player page
+   * @param {Object} player - Player from the registry
+   * @param {Array} cards - The player's cards in the deck
+   */
+  renderPlayerPage(player, cards) {
+    document.getElementById('player-name').textContent = player.name;
+    document.getElementById('player-aliases').textContent = player.aliases?.length
+      ? `Also known as ${player.aliases.join(', ')}`
+      : '';
+
+    const facts = [
+      ['Lived', Players.formatLifespan(player)],
+      ['Hall of Fame', player.hallOfFame ? `Inducted ${player.hallOfFame}` : 'Not inducted'],
+      ['Teams', (player.teams || []).join(', ')]
+    ].filter(([, value]) => value);
+    Dom.setContent(document.getElementById('player-facts'), facts.flatMap(([label, value]) => [
+      Dom.create('dt', { text: label }),
+      Dom.create('dd', { text: value })
+    ]));
+
+    document.getElementById('player-card-count').textContent =
+      `${cards.length} card${cards.length !== 1 ? 's' : ''} in ${Decks.get(Decks.getActiveId())?.name ?? 'this deck'}`;
+    Dom.setContent(document.getElementById('player-card-list'), cards.map(card => this.createLibraryItem(card)));
+  },
+
+  // ===== DECK IMPORT METHODS =====
+
+  /**
+   * Reset the import form and list the imported decks
+   * @param {Array} decks - Imported decks from Decks.getAll()
+   */
+  renderImportScreen(decks) {
+    document.getElementById('import-form').reset();
+    document.getElementById('import-status').textContent = '';
+    document.getElementById('import-errors').innerHTML = '';
+    this.renderImportedDecks(decks);
+  },
+
+  /**
+   * List imported decks with delete buttons
+   * @param {Array} decks - Imported decks
+   */
+  renderImportedDecks(decks) {
+    document.getElementById('import-decks-section').style.display = decks.length > 0 ? '' : 'none';
+
+    const list = document.getElementById('import-deck-list');
+    list.innerHTML = '';
+    decks.forEach(deck => {
+      const item = document.createElement('div');
+      item.className = 'import-deck-item';
+
+      const name = document.createElement('span');
+      name.className = 'import-deck-name';
+      name.textContent = deck.name;
+
+      const remove = document.createElement('button');
+      remove.className = 'filter-open-btn import-delete-btn';
+      remove.dataset.deckId = deck.id;
+      remove.textContent = 'Delete';
+
+      item.appendChild(name);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Read the import form
+   * @returns {Object|null} { name, description, cardFile, imageFiles } or null without a card list
+   */
+  readImportForm() {
+    const cardFile = document.getElementById('import-card-file').files[0];
+    if (!cardFile) return null;
+
+    return {
+      name: document.getElementById('import-name').value,
+      description: document.getElementById('import-description').value,
+      cardFile,
+      imageFiles: [...document.getElementById('import-image-files').files]
+    };
+  },
+
+  /**
+   * Show the outcome of an import
+   * @param {Object} result - { deck, errors } from CustomDecks.import
+   */
+  showImportResult(result) {
+    const { deck, errors } = result;
+    const skipped = errors.length > 0
+      ? ` ${errors.length} row${errors.length !== 1 ? 's were' : ' was'} skipped:`
+      : '';
+
+    document.getElementById('import-status').textContent = deck
+      ? `Imported "${deck.name}" with ${deck.cards.length} cards.${skipped}`
+      : 'Nothing was imported:';
+    this.renderErrorList(document.getElementById('import-errors'), errors, 'Row');
+  },
+
+  /**
+   * Show an import status message
+   * @param {string} message - Message to show
+   */
+  setImportStatus(message) {
+    document.getElementById('import-status').textContent = message;
+    document.getElementById('import-errors').innerHTML = '';
+  },
+
+  // ===== CATALOG EDITOR METHODS =====
+
+  /**
+   * Render the card list with the selected card highlighted
+   * @param {Array} cards - Card records in file order
+   * @param {number|null} selectedIndex - Selected card position
+   * @param {Set} invalidIndexes - Positions of cards with errors
+   */
+  renderEditorList(cards, selectedIndex, invalidIndexes) {
+    const list = document.getElementById('editor-card-list');
+    list.innerHTML = '';
+
+    cards.forEach((card, index) => {
+      const item = document.createElement('div');
+      item.className = 'editor-card-item';
+      item.classList.toggle('selected', index === selectedIndex);
+      item.classList.toggle('invalid', invalidIndexes.has(index));
+      item.dataset.index = index;
+
+      const name = document.createElement('button');
+      name.className = 'editor-card-name';
+      name.dataset.action = 'select';
+      name.textContent = `${index + 1}. ${card.playerName || card.id || 'New card'}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'editor-card-actions';
+      [
+        { action: 'up', label: '↑', title: 'Move up', disabled: index === 0 },
+        { action: 'down', label: '↓', title: 'Move down', disabled: index === cards.length - 1 },
+        { action: 'delete', label: '✕', title: 'Delete card', disabled: false }
+      ].forEach(({ action, label, title, disabled }) => {
+        const button = document.createElement('button');
+        button.className = 'editor-card-action';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        actions.appendChild(button);
+      });
+
+      item.appendChild(name);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Fill the editor form (disabled when no card is selected)
+   * @param {Object|null} fields - Strings by field name from CatalogEditor.toFields
+   */
+  fillEditorForm(fields) {
+    document.querySelectorAll('.editor-input').forEach(input => {
+      input.value = fields ? fields[input.dataset.field] : '';
+      input.disabled = !fields;
+    });
+  },
+
+  /**
+   * Read the editor form
+   * @returns {Object} Strings by field name
+   */
+  readEditorForm() {
+    const fields = {};
+    document.querySelectorAll('.editor-input').forEach(input => {
+      fields[input.dataset.field] = input.value;
+    });
+    return fields;
+  },
+
+  /**
+   * Show validation messages next to the editor fields
+   * @param {Object} errors - Message by field name ('record' for fields without an input)
+   */
+  showEditorErrors(errors) {
+    document.querySelectorAll('.editor-input').forEach(input => {
+      const { field } = input.dataset;
+      input.classList.toggle('invalid', Boolean(errors[field]));
+      document.getElementById(`editor-error-${field}`).textContent = errors[field] || '';
+    });
+    // Problems in fields the form doesn't show, like priceHistory
+    document.getElementById('editor-error-record').textContent = errors.record || '';
+  },
+
+  /**
+   * Render the live preview the way the valuation game shows a card
+   * @param {Object|null} previewCard - Card from CatalogEditor.getPreviewCard (null if not previewable)
+   */
+  renderEditorPreview(previewCard) {
+    const container = document.getElementById('editor-preview-card');
+    container.innerHTML = '';
+    if (previewCard) {
+      const cardEl = this.createValuationCard(previewCard);
+      cardEl.classList.add('display-card');
+      container.appendChild(cardEl);
     }
+    document.getElementById('editor-preview-details-btn').disabled = !previewCard;
+  },
+
+  /**
+   * Show a status message for the editor
+   * @param {string} message - Message to show
+   * @param {Array} errors - Card errors to list under it
+   */
+  setEditorStatus(message, errors = []) {
+    document.getElementById('editor-status').textContent = message;
+    this.renderErrorList(document.getElementById('editor-download-errors'), errors, 'Card');
+  },
+
+  // ===== ALBUM METHODS =====
+
+  /**
+   * Render the collection album
+   * @param {Array} pages - Sets in album order from Collection.getAlbumPages
+   * @param {Object} overall - Progress for the whole deck
+   * @param {Array} eras - Progress per era
+   * @param {Array} sets - Progress per set
+   * @param {Object} owned - Collected entries by card ID
+   */
+  renderAlbum(pages, overall, eras, sets, owned) {
+    document.getElementById('album-deck-name').textContent = Decks.get(Decks.getActiveId())?.name ?? '';
+    document.getElementById('album-overall').textContent =
+      `${overall.owned} of ${overall.total} cards collected (${overall.percent}%)`;
+    document.getElementById('album-overall-bar').style.width = `${overall.percent}%`;
+
+    const eraList = document.getElementById('album-eras');
+    eraList.innerHTML = '';
+    eras.forEach(era => eraList.appendChild(this.createAlbumProgress(era)));
+
+    const container = document.getElementById('album-pages');
+    container.innerHTML = '';
+    pages.forEach(page => {
+      const section = document.createElement('section');
+      section.className = 'album-page';
+
+      section.appendChild(this.createAlbumProgress(sets.find(set => set.name === page.name)));
+
+      const grid = document.createElement('div');
+      grid.className = 'album-grid';
+      page.cards.forEach(card => {
+        const isOwned = card.id in owned;
+        const slot = document.createElement(isOwned ? 'button' : 'div');
+        slot.className = `album-slot ${isOwned ? 'owned' : 'missing'}`;
+        slot.dataset.cardId = card.id;
+
+        const img = document.createElement('img');
+        img.src = Cards.getImagePath(card);
+        img.alt = isOwned ? card.playerName : 'Not yet collected';
+        img.loading = 'lazy';
+
+        const label = document.createElement('span');
+        label.className = 'album-slot-label';
+        label.textContent = isOwned ? card.playerName : '???';
+
+        slot.appendChild(img);
+        slot.appendChild(label);
+        grid.appendChild(slot);
+      });
+
+      section.appendChild(grid);
+      container.appendChild(section);
+    });
+  },
+
+  /**
+   * Create a labeled progress bar for an era or set
+   * @param {Object} progress - { name, owned, total, percent }
+   * @returns {HTMLElement} Progress element
+   */
+  createAlbumProgress(progress) {
+    const item = document.createElement('div');
+    item.className = 'album-progress';
+
+    const label = document.createElement('div');
+    label.className = 'album-progress-label';
+    const name = document.createElement('span');
+    name.textContent = progress.name;
+    const count = document.createElement('span');
+    count.textContent = `${progress.owned}/${progress.total} (${progress.percent}%)`;
+    label.appendChild(name);
+    label.appendChild(count);
+
+    const track = document.createElement('div');
+    track.className = 'album-progress-track';
+    const bar = document.createElement('div');
+    bar.className = 'album-progress-bar';
+    bar.style.width = `${progress.percent}%`;
+    track.appendChild(bar);
+
+    item.appendChild(label);
+    item.appendChild(track);
+    return item;
+  },
+
+  /**
+   * Briefly announce cards that were just added to the album
+   * @param {Array} cardIds - Newly collected card IDs
+   */
+  showCollected(cardIds) {
+    if (!cardIds || cardIds.length === 0) return;
+
+    const names = cardIds.map(id => Cards.getCardById(id)?.playerName).filter(Boolean);
+    const toast = document.getElementById('album-toast');
+    toast.textContent = `📒 Added to your album: ${names.join(', ')}`;
+    toast.classList.add('visible');
+
+    clearTimeout(this.albumToastTimer);
+    this.albumToastTimer = setTimeout(() => toast.classList.remove('visible'), 2500);
+  },
+
+  /**
+   * Save text as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} type - MIME type
+   */
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  // ===== CHALLENGE LINK METHODS =====
+
+  /**
+   * Show your score next to the challenger's on a results screen
+   * @param {string} elementId - Challenge result container ID
+   * @param {Object|null} comparison - { yourScore, theirScore, lowerIsBetter, format } or null to hide
+   */
+  showChallengeResult(elementId, comparison) {
+    const container = document.getElementById(elementId);
+    container.innerHTML = '';
+
+    if (!comparison) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const { yourScore, theirScore, lowerIsBetter, format } = comparison;
+
+    const scores = document.createElement('div');
+    scores.className = 'challenge-scores';
+    [['You', yourScore], ['Challenger', theirScore]].forEach(([label, score]) => {
+      const item = document.createElement('div');
+      item.className = 'score-item';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'score-label';
+      labelSpan.textContent = label;
+
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'score-value';
+      valueSpan.textContent = format(score);
+
+      item.appendChild(labelSpan);
+      item.appendChild(valueSpan);
+      scores.appendChild(item);
+    });
+
+    const verdict = document.createElement('div');
+    verdict.className = 'challenge-verdict';
+    if (yourScore === theirScore) {
+      verdict.textContent = "It's a tie!";
+    } else if ((yourScore < theirScore) === lowerIsBetter) {
+      verdict.textContent = 'You beat the challenger!';
+    } else {
+      verdict.textContent = 'The challenger wins this one';
+    }
+
+    container.appendChild(scores);
+    container.appendChild(verdict);
+    container.style.display = 'block';
+  },
+
+  /**
+   * Briefly confirm on the share button that the link was shared
+   * @param {HTMLElement} button - Share button
+   * @param {string} outcome - 'shared', 'copied', or 'shown'
+   */
+  showShareStatus(button, outcome) {
+    if (outcome === 'shown') return;
+
+    const originalText = button.textContent;
+    button.textContent = outcome === 'copied' ? 'Link Copied!' : 'Shared!';
+    button.disabled = true;
+    setTimeout(() => {
+      button.textContent = originalText;
+      button.disabled = false;
+    }, 2000);
+  },
+
+  // ===== DAILY CHALLENGE METHODS =====
+
+  /**
+   * Update daily challenge screen with today's status and streak
+   */
+  updateDailyScreen() {
+    const date = new Date().toLocaleDateString(undefined, {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+    document.getElementById('daily-date').textContent = `${date} • ${Decks.get(Decks.getActiveId())?.name}`;
+
+    const descriptions = {
+      matching: `${Daily.matchingCardCount} cards`,
+      valuation: `${this.valuationModeNames[Daily.getValuationMode()]} • 5 rounds`,
+      guess: '5 cards'
+    };
+
+    document.querySelectorAll('.daily-btn').forEach(btn => {
+      const gameType = btn.dataset.dailyGame;
+      const result = Daily.getResult(gameType);
+      const canResume = Daily.canResume(gameType);
+      btn.classList.toggle('played', result !== null && !canResume);
+      btn.disabled = result !== null && !canResume;
+
+      const status = document.getElementById(`daily-status-${gameType}`);
+      if (canResume) {
+        status.textContent = 'Resume';
+      } else {
+        status.textContent = result ? this.formatDailyScore(gameType, result.score) : descriptions[gameType];
+      }
+    });
+
+    const { current, best } = Daily.getStreak();
+    document.getElementById('daily-streak-current').textContent = `${current} day${current !== 1 ? 's' : ''}`;
+    document.getElementById('daily-streak-best').textContent = `${best} day${best !== 1 ? 's' : ''}`;
+  },
+
+  /**
+   * Format a daily challenge score for display
+   * @param {string} gameType - 'matching', 'valuation', or 'guess'
+   * @param {number|null} score - Score (null if the challenge was abandoned)
+   * @returns {string} Display text
+   */
+  formatDailyScore(gameType, score) {
+    if (score === null) return 'Not finished';
+
+    switch (gameType) {
+      case 'matching': return `Done: ${score} turns`;
+      case 'valuation': return `Done: ${score}/5`;
+      case 'guess': return `Done: ${score}/30`;
+      default: return `Done: ${score}`;
+    }
+  },
+
+  /**
+   * Hide restart and replay buttons while playing a daily challenge
+   * @param {boolean} isDaily - Whether a daily challenge is being played
+   */
+  setDailyMode(isDaily) {
+    ['restart-btn', 'play-again-btn', 'valuation-play-again-btn', 'guess-play-again-btn'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) {
+        btn.style.display = isDaily ? 'none' : '';
+      }
+    });
   }
 };
@@ -3,31 +3,59 @@
  * Handles card valuation game modes
  */
 const Valuation = {
+  modes: ['3-card', '4-card', '5-card', '6-card', '2-card', '1-card', 'as-of-year', 'estimate'],
+
+  // Cards per round in the sort modes
+  sortSizes: { '3-card': 3, '4-card': 4, '5-card': 5, '6-card': 6 },
+
+  // High score keys for modes whose scoring changed (3-card sorts were all-or-nothing before pair credit)
+  highScoreKeys: { '3-card': '3-card-v2' },
+
+  // Estimate mode points by how many times off a guess is, the same over or under
+  // (1.1 is within a factor of 1.1 either way, about 10%; 2 is a factor of 2, so half or double)
+  estimateScoring: [
+    { within: 1.1, points: 1 },
+    { within: 1.5, points: 0.75 },
+    { within: 2, points: 0.5 },
+    { within: 3, points: 0.25 }
+  ],
+
+  // Dollar amounts at the ends of the estimate slider (typed guesses can go past them)
+  estimateRange: { min: 100, max: 100000000 },
+
   state: {
-    mode: null,             // '3-card', '2-card', '1-card'
+    mode: null,             // A sort mode ('3-card' to '6-card'), '2-card', '1-card', 'as-of-year', 'estimate'
     currentRound: 0,        // 0-4 (5 rounds total)
-    correctCount: 0,        // Number of correct answers
+    correctCount: 0,        // Number of correct answers (sort and estimate rounds add their points)
     usedCardIds: [],        // Track used cards to avoid repeats
     roundCards: [],         // Cards for current round
-    selectedCard: null,     // For 3-card mode: currently selected card
-    placements: [null, null, null], // For 3-card mode: positions
+    roundYear: null,        // For as-of-year mode: year the values are compared in
+    selectedCard: null,     // For sort modes: currently selected card
+    placements: [],         // For sort modes: card ID by position, most valuable first (null for empty)
     roundHistory: [],       // Track each round's result for summary
+    seed: null,             // Random seed that produced this game
+    filter: null,           // Filter criteria for the card pool (null for all cards)
     isPlaying: false,
     awaitingNextRound: false // Prevent multiple submissions during reveal
   },
 
   /**
    * Initialize a new valuation game
-   * @param {string} mode - Game mode ('3-card', '2-card', '1-card')
+   * @param {string} mode - Game mode (a sort mode, '2-card', '1-card', 'as-of-year', 'estimate')
+   * @param {number|string} seed - Random seed (optional, new seed if omitted)
+   * @param {Object|null} filter - Filter criteria for the card pool (optional)
    */
-  async init(mode) {
+  async init(mode, seed, filter = null) {
     await Cards.load();
 
+    this.state.seed = Random.seed(seed);
+    this.state.filter = filter;
     this.state.mode = mode;
     this.state.currentRound = 0;
     this.state.correctCount = 0;
     this.state.usedCardIds = [];
     this.state.roundHistory = [];
+    this.state.roundYear = null;
     this.state.isPlaying = true;
     this.state.awaitingNextRound = false;
 
@@ -38,54 +66,237 @@ const Valuation = {
    * Set up cards for current round
    */
   setupRound() {
-    const cardCount = this.state.mode === '3-card' ? 3 :
-                      this.state.mode === '2-card' ? 2 : 1;
+    const cardCount = this.getCardCount(this.state.mode);
 
     // Get available cards (not yet used)
-    let available = Cards.allCards.filter(
+    const pool = this.getModePool(this.state.mode, Cards.getPool(this.state.filter));
+    let available = pool.filter(
       c => !this.state.usedCardIds.includes(c.id)
     );
 
     // If we've used too many cards, reset the pool
     if (available.length < cardCount) {
       this.state.usedCardIds = [];
-      available = [...Cards.allCards];
+      available = [...pool];
+    }
+
+    // As-of-year rounds compare prices from a past year
+    if (this.state.mode === 'as-of-year') {
+      this.state.roundYear = Random.pick(this.getPlayableYears(pool, cardCount));
     }
 
     // Select cards with unique values (no trick questions)
-    this.state.roundCards = this.selectCardsWithUniqueValues(available, cardCount);
+    const getValue = card => this.getCardValue(card);
+    this.state.roundCards = this.selectCardsWithUniqueValues(available, cardCount, getValue);
+
+    // Not enough unused cards with distinct values - allow repeats
+    if (this.state.roundCards.length < cardCount) {
+      this.state.roundCards = this.selectCardsWithUniqueValues(pool, cardCount, getValue);
+    }
 
     // Mark as used
     this.state.roundCards.forEach(c => this.state.usedCardIds.push(c.id));
 
     // Reset round state
     this.state.selectedCard = null;
-    this.state.placements = [null, null, null];
+    this.state.placements = this.isSortMode(this.state.mode) ? Array(cardCount).fill(null) : [];
     this.state.awaitingNextRound = false;
 
+    this.persist();
+    return this.getRoundData();
+  },
+
+  /**
+   * Get data for rendering the current round
+   * @returns {Object} Round data with cards, round number, and mode
+   */
+  getRoundData() {
     return {
       cards: this.state.roundCards,
       round: this.state.currentRound + 1,
-      mode: this.state.mode
+      mode: this.state.mode,
+      year: this.state.roundYear
+    };
+  },
+
+  /**
+   * Check if a mode sorts cards by value
+   * @param {string} mode - Game mode
+   * @returns {boolean} True for '3-card' to '6-card'
+   */
+  isSortMode(mode) {
+    return mode in this.sortSizes;
+  },
+
+  /**
+   * Get the key a mode's high scores are saved under
+   * @param {string} mode - Game mode
+   * @returns {string} HighScores difficulty key
+   */
+  getHighScoreKey(mode) {
+    return this.highScoreKeys[mode] || mode;
+  },
+
+  /**
+   * Get how many cards a round shows
+   * @param {string} mode - Game mode
+   * @returns {number} Cards per round
+   */
+  getCardCount(mode) {
+    if (this.isSortMode(mode)) return this.sortSizes[mode];
+    return mode === '1-card' || mode === 'estimate' ? 1 : 2;
+  },
+
+  /**
+   * Get the value a card is judged by in the current game
+   * @param {Object} card - Card object
+   * @param {number|null} year - Year for as-of-year rounds (default: current round's year)
+   * @returns {Object|null} Structured value (null if the card has no price that year)
+   */
+  getCardValue(card, year = this.state.roundYear) {
+    return year ? Cards.getValueAsOf(card, year) : card.estimatedValue;
+  },
+
+  /**
+   * Restore a saved game
+   * @param {Object} snapshot - Snapshot from serialize()
+   * @returns {Object|null} Round data, or null if the saved cards no longer exist
+   */
+  async restore(snapshot) {
+    await Cards.load();
+
+    const findCards = ids => {
+      const cards = ids.map(id => Cards.getCardById(id));
+      return cards.includes(null) ? null : cards;
+    };
+    const roundCards = findCards(snapshot.roundCardIds);
+    const roundHistory = snapshot.roundHistory.map(entry => {
+      const cards = findCards(entry.cardIds);
+      if (!cards) return null;
+      const { cardIds, ...rest } = entry;
+      return { ...rest, cards };
+    });
+    if (!roundCards || roundHistory.includes(null)) return null;
+
+    this.state.mode = snapshot.mode;
+    this.state.currentRound = snapshot.currentRound;
+    this.state.correctCount = snapshot.correctCount;
+    this.state.usedCardIds = [...snapshot.usedCardIds];
+    this.state.roundCards = roundCards;
+    this.state.selectedCard = null;
+    this.state.placements = [...snapshot.placements];
+    this.state.roundHistory = roundHistory;
+    this.state.roundYear = snapshot.roundYear ?? null;
+    this.state.seed = snapshot.seed;
+    this.state.filter = snapshot.filter ?? null;
+    this.state.isPlaying = true;
+    this.state.awaitingNextRound = false;
+    Random.setState(snapshot.random);
+
+    // Saved during an answer reveal - continue with the next round
+    if (snapshot.awaitingNextRound) {
+      return this.setupRound();
+    }
+
+    return this.getRoundData();
+  },
+
+  /**
+   * Get a storable snapshot of the game
+   * @returns {Object} Snapshot with card IDs instead of card objects
+   */
+  serialize() {
+    return {
+      mode: this.state.mode,
+      currentRound: this.state.currentRound,
+      correctCount: this.state.correctCount,
+      usedCardIds: [...this.state.usedCardIds],
+      roundCardIds: this.state.roundCards.map(c => c.id),
+      roundYear: this.state.roundYear,
+      placements: [...this.state.placements],
+      roundHistory: this.state.roundHistory.map(({ cards, ...rest }) => ({
+        ...rest,
+        cardIds: cards.map(c => c.id)
+      })),
+      awaitingNextRound: this.state.awaitingNextRound,
+      seed: this.state.seed,
+      filter: this.state.filter,
+      random: Random.getState()
     };
   },
 
   /**
-   * Select cards ensuring all have unique values
+   * Check if a card pool can fill every round of a mode
+   * @param {string} mode - Game mode
+   * @param {Array} pool - Cards the rounds would draw from
+   * @returns {boolean} True if playable (e.g. 3-card sort needs three distinct values)
+   */
+  canPlay(mode, pool) {
+    if (this.isSortMode(mode)) {
+      return Cards.countDistinctValues(pool) >= this.sortSizes[mode];
+    }
+
+    switch (mode) {
+      case '2-card':
+        return Cards.countDistinctValues(pool) >= 2;
+      case '1-card':
+      case 'estimate':
+        return pool.length >= 1;
+      case 'as-of-year':
+        return this.getPlayableYears(this.getModePool(mode, pool), 2).length > 0;
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Get the cards a mode can use from a pool
+   * @param {string} mode - Game mode
+   * @param {Array} pool - Cards to draw from
+   * @returns {Array} The pool, narrowed to cards with sourced price history for as-of-year
+   */
+  getModePool(mode, pool) {
+    return mode === 'as-of-year' ? pool.filter(card => Cards.hasSourcedHistory(card)) : pool;
+  },
+
+  /**
+   * Get past years with enough distinctly priced cards in a pool
+   * @param {Array} pool - Cards to look at
+   * @param {number} count - Cards needed per round
+   * @returns {Array} Years, oldest first
+   */
+  getPlayableYears(pool, count) {
+    return Cards.getHistoryYears(count, pool).filter(year =>
+      Cards.countDistinctValues(pool, card => Cards.getValueAsOf(card, year)) >= count
+    );
+  },
+
+  /**
+   * Save game for resuming (cleared once the last round is answered)
+   */
+  persist() {
+    if (this.state.currentRound >= 5) {
+      SavedGames.clear('valuation');
+    } else {
+      SavedGames.save('valuation', this.serialize());
+    }
+  },
+
+  /**
+   * Select cards ensuring all values have a clear order
+   * (no equal values, and no overlapping ranges or "at least" values)
    * @param {Array} pool - Available cards to choose from
    * @param {number} count - Number of cards to select
-   * @returns {Array} Selected cards with unique values
+   * @param {Function} getValue - Value to compare for a card (default: current value)
+   * @returns {Array} Selected cards with distinct values
    */
-  selectCardsWithUniqueValues(pool, count) {
-    const shuffled = [...pool].sort(() => Math.random() - 0.5);
+  selectCardsWithUniqueValues(pool, count, getValue = card => card.estimatedValue) {
+    const shuffled = Random.shuffle(pool.filter(card => getValue(card) !== null));
     const selected = [];
-    const usedValues = new Set();
 
     for (const card of shuffled) {
-      const value = Cards.parseValue(card.estimatedValue);
-      if (!usedValues.has(value)) {
+      if (Cards.hasDistinctValues([...selected, card], getValue)) {
         selected.push(card);
-        usedValues.add(value);
         if (selected.length === count) break;
       }
     }
@@ -94,7 +305,7 @@ const Valuation = {
   },
 
   /**
-   * Handle card selection in 3-card mode
+   * Handle card selection in sort modes
    * @param {string} cardId - Card ID to select
    */
   selectCard(cardId) {
@@ -104,98 +315,248 @@ const Valuation = {
   },
 
   /**
-   * Place selected card in position slot (3-card mode)
-   * @param {number} position - Position index (0, 1, or 2)
+   * Place selected card in position slot (sort modes)
+   * A card moved from another slot swaps with the card it lands on; a card from the pool sends it back
+   * @param {number} position - Position index (0 is the most valuable)
    */
   placeCard(position) {
     if (!this.state.selectedCard || this.state.awaitingNextRound) {
       return { action: 'ignored' };
     }
 
-    // Remove card from any existing position
     const existingPos = this.state.placements.indexOf(this.state.selectedCard);
+    const displaced = this.state.placements[position];
     if (existingPos !== -1) {
-      this.state.placements[existingPos] = null;
+      this.state.placements[existingPos] = displaced;
     }
 
-    // Remove any card already in target position
     this.state.placements[position] = this.state.selectedCard;
     this.state.selectedCard = null;
 
     const allPlaced = this.state.placements.every(p => p !== null);
+    this.persist();
     return {
       placements: [...this.state.placements],
       canSubmit: allPlaced
     };
   },
 
+  /**
+   * Take a card out of its position slot, back to the pool (sort modes)
+   * @param {string} cardId - Card ID to remove
+   */
+  removeCard(cardId) {
+    const position = this.state.placements.indexOf(cardId);
+    if (position === -1 || this.state.awaitingNextRound) {
+      return { action: 'ignored' };
+    }
+
+    this.state.placements[position] = null;
+    this.state.selectedCard = null;
+    this.persist();
+    return {
+      placements: [...this.state.placements],
+      canSubmit: false
+    };
+  },
+
+  /**
+   * Check a sort order pair by pair
+   * @param {Array} placements - Card IDs, most valuable first
+   * @returns {Object} { correctPairs, totalPairs, swappedPairs } where swappedPairs lists
+   *   [higher card ID, lower card ID] for each pair placed the wrong way round
+   */
+  scoreOrder(placements) {
+    const getValue = id => this.getCardValue(this.state.roundCards.find(c => c.id === id));
+    const swappedPairs = [];
+    let totalPairs = 0;
+
+    placements.forEach((id, index) => {
+      placements.slice(index + 1).forEach(laterId => {
+        totalPairs++;
+        if (Cards.compareValues(getValue(id), getValue(laterId)) < 0) {
+          swappedPairs.push([laterId, id]);
+        }
+      });
+    });
+
+    return { correctPairs: totalPairs - swappedPairs.length, totalPairs, swappedPairs };
+  },
+
   /**
    * Submit answer for current round
-   * @param {string|Array} answer - Card ID (2-card/1-card) or placements array (3-card)
-   * @returns {Object} Result with isCorrect, correctAnswer, cards, isGameOver, score
+   * @param {string|Array|number} answer - Card ID (2-card/as-of-year), value (1-card), amount (estimate)
+   *   or placements array (sort modes)
+   * @returns {Object} Result with isCorrect, correctAnswer, cards, isGameOver, score, collected, points,
+   *   plus order (sort modes) and error (estimate mode), null in other modes
    */
   submitAnswer(answer) {
     if (this.state.awaitingNextRound) {
       return { action: 'ignored' };
     }
+    if (this.state.mode === 'estimate' && !(answer > 0)) {
+      return { action: 'ignored' };
+    }
+    if (this.isSortMode(this.state.mode) && this.state.placements.includes(null)) {
+      return { action: 'ignored' };
+    }
 
     let isCorrect = false;
     let correctAnswer = null;
     let userAnswer = answer;
+    let error = null;
+    let order = null;
 
     switch (this.state.mode) {
       case '3-card':
-        // Check if placements match correct value order
+      case '4-card':
+      case '5-card':
+      case '6-card':
+        // Credit each pair of cards placed in the right order
         const sortedCorrect = Cards.sortByValue(this.state.roundCards, true);
         correctAnswer = sortedCorrect.map(c => c.id);
-        isCorrect = JSON.stringify(this.state.placements) === JSON.stringify(correctAnswer);
+        order = this.scoreOrder(this.state.placements);
+        isCorrect = order.swappedPairs.length === 0;
         userAnswer = [...this.state.placements];
         break;
 
       case '2-card':
-        // Check if selected card is the more valuable one
+      case 'as-of-year':
+        // Check if selected card is the more valuable one (in the round's year for as-of-year)
         const [card1, card2] = this.state.roundCards;
-        const val1 = Cards.parseValue(card1.estimatedValue);
-        const val2 = Cards.parseValue(card2.estimatedValue);
-        correctAnswer = val1 > val2 ? card1.id : card2.id;
+        const comparison = Cards.compareValues(this.getCardValue(card1), this.getCardValue(card2));
+        correctAnswer = comparison > 0 ? card1.id : card2.id;
         isCorrect = answer === correctAnswer;
         break;
 
       case '1-card':
         // Check if selected value matches card's actual value
         const card = this.state.roundCards[0];
-        correctAnswer = card.estimatedValue;
+        correctAnswer = Cards.formatValue(card.estimatedValue);
         isCorrect = answer === correctAnswer;
         break;
+
+      case 'estimate': {
+        // Score how many times off the guessed amount is
+        const value = this.state.roundCards[0].estimatedValue;
+        correctAnswer = Cards.formatValue(value);
+        error = this.getEstimateError(answer, value);
+        isCorrect = this.scoreEstimate(error.ratio) === 1;
+        break;
+      }
+    }
+
+    let points = Number(isCorrect);
+    if (order) {
+      points = Math.round(order.correctPairs / order.totalPairs * 100) / 100;
+    }
+    if (error) {
+      points = this.scoreEstimate(error.ratio);
     }
+    // Rounded so sums of partial points stay tidy (4.33, not 4.329999)
+    this.state.correctCount = Math.round((this.state.correctCount + points) * 100) / 100;
 
+    let collected = [];
     if (isCorrect) {
-      this.state.correctCount++;
+      collected = Collection.collect(this.state.roundCards.map(c => c.id), 'valuation');
     }
 
     // Record round history
     this.state.roundHistory.push({
       round: this.state.currentRound + 1,
       cards: [...this.state.roundCards],
+      year: this.state.roundYear,
       userAnswer,
       correctAnswer,
-      isCorrect
+      isCorrect,
+      points,
+      order,
+      error
     });
 
     this.state.currentRound++;
     this.state.awaitingNextRound = true;
     const isGameOver = this.state.currentRound >= 5;
+    this.persist();
 
     return {
+      mode: this.state.mode,
       isCorrect,
       correctAnswer,
+      userAnswer,
+      points,
+      order,
+      error,
       cards: this.state.roundCards,
+      year: this.state.roundYear,
       isGameOver,
       score: this.state.correctCount,
-      round: this.state.currentRound
+      round: this.state.currentRound,
+      collected
     };
   },
 
+  /**
+   * Measure how far off a value estimate is
+   * Anywhere inside a range is a hit; "at least" values are judged by their amount
+   * @param {number} guess - Guessed amount
+   * @param {Object} value - Structured value
+   * @returns {Object} { ratio, direction } where ratio is how many times off either way (1 for a hit,
+   *   2 for both half and double) and direction is 'high', 'low' or null
+   */
+  getEstimateError(guess, value) {
+    const { low, high } = Cards.getValueBounds(value);
+    const top = value.qualifier === 'at-least' ? low : high;
+    // The nearest amount the card could be worth
+    const actual = Math.min(Math.max(guess, low), top);
+    const ratio = Math.max(guess / actual, actual / guess);
+    const direction = guess > actual ? 'high' : guess < actual ? 'low' : null;
+    return { ratio, direction };
+  },
+
+  /**
+   * Get the points an estimate earns
+   * @param {number} ratio - How many times off the estimate is (from getEstimateError)
+   * @returns {number} Points from estimateScoring (0 if further off than every band)
+   */
+  scoreEstimate(ratio) {
+    const band = this.estimateScoring.find(({ within }) => ratio <= within);
+    return band ? band.points : 0;
+  },
+
+  /**
+   * Read a typed estimate
+   * @param {string} text - Amount like "$250,000", "250000", "250k" or "2.5m"
+   * @returns {number|null} Dollar amount, or null if unreadable
+   */
+  parseEstimate(text) {
+    const match = String(text).toLowerCase().replace(/[$,\s]/g, '').match(/^(\d*\.?\d+)([kmb])?$/);
+    if (!match) return null;
+    const amount = Number(match[1]) * ({ k: 1e3, m: 1e6, b: 1e9 }[match[2]] || 1);
+    return amount > 0 ? amount : null;
+  },
+
+  /**
+   * Convert an estimate slider position to an amount (the slider moves on a log scale)
+   * @param {number} position - Slider position from 0 to 1
+   * @returns {number} Amount rounded to two significant figures
+   */
+  sliderToAmount(position) {
+    const { min, max } = this.estimateRange;
+    return Number((min * Math.pow(max / min, position)).toPrecision(2));
+  },
+
+  /**
+   * Convert an amount to an estimate slider position
+   * @param {number} amount - Dollar amount
+   * @returns {number} Slider position from 0 to 1 (clamped to estimateRange)
+   */
+  amountToSlider(amount) {
+    const { min, max } = this.estimateRange;
+    const position = Math.log(amount / min) / Math.log(max / min);
+    return Math.min(1, Math.max(0, position));
+  },
+
   /**
    * Get value options for 1-card mode
    * @param {Object} card - Card to get options for
@@ -228,8 +589,11 @@ const Valuation = {
     this.state.usedCardIds = [];
     this.state.roundCards = [];
     this.state.selectedCard = null;
-    this.state.placements = [null, null, null];
+    this.state.placements = [];
     this.state.roundHistory = [];
+    this.state.roundYear = null;
+    this.state.seed = null;
+    this.state.filter = null;
     this.state.isPlaying = false;
     this.state.awaitingNextRound = false;
   }